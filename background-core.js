@@ -0,0 +1,2804 @@
+// background-core.js - Cookie management and extension coordination, shared by both builds
+// This script handles all cookie API operations since content scripts cannot access cookies directly
+// Loaded after script-injector.js and background-platform.js by the entry points
+// (background.js for Firefox, chrome/background.js for Chrome)
+
+"use strict";
+
+// ============================================================================
+// Cookie Stores - Firefox containers (contextualIdentities) and incognito
+// ============================================================================
+
+/**
+ * Work out which cookie store a request targets
+ * An explicit storeId (e.g., a container picked in the popup) wins, otherwise
+ * the store of the tab that sent the message. undefined means the browser's
+ * default store
+ * @param {object} message - Runtime message (may carry storeId)
+ * @param {object} [sender] - Message sender
+ * @returns {Promise<string|undefined>}
+ */
+async function resolveStoreId(message, sender) {
+  if (message && message.storeId) {
+    return message.storeId;
+  }
+
+  const tab = sender && sender.tab;
+  return tab ? getTabStoreId(tab) : undefined;
+}
+
+/**
+ * Cookie store of a tab
+ * @param {object} tab
+ * @param {object[]} [stores] - cookies.getAllCookieStores() result, when already fetched
+ * @returns {Promise<string|undefined>}
+ */
+async function getTabStoreId(tab, stores) {
+  // Firefox tabs know their container
+  if (Platform.cookies.containers && tab.cookieStoreId) {
+    return tab.cookieStoreId;
+  }
+
+  try {
+    const store = (stores || await Platform.api.cookies.getAllCookieStores())
+      .find(candidate => candidate.tabIds.includes(tab.id));
+    return store ? store.id : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Cookie API filter for a store (empty for the default store)
+ * @param {string} [storeId]
+ * @returns {object}
+ */
+function storeFilter(storeId) {
+  return storeId ? { storeId } : {};
+}
+
+// ============================================================================
+// Cookie Management Functions
+// ============================================================================
+
+/**
+ * Delete a single cookie by URL and name
+ * @param {string} url - The URL associated with the cookie
+ * @param {string} name - The cookie name to delete
+ * @param {string} [storeId] - Cookie store (container) to delete from
+ * @returns {Promise<{success: boolean, cookie?: object, error?: string}>}
+ */
+async function deleteCookie(url, name, storeId) {
+  try {
+    const removed = await Platform.api.cookies.remove({ url, name, ...storeFilter(storeId) });
+    if (removed) {
+      console.log(`[CookieManager] Deleted cookie "${name}" from ${url}`);
+      return { success: true, cookie: removed };
+    } else {
+      console.log(`[CookieManager] Cookie "${name}" not found at ${url}`);
+      return { success: false, error: "Cookie not found" };
+    }
+  } catch (error) {
+    console.error(`[CookieManager] Error deleting cookie "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete multiple cookies by name for a specific URL
+ * @param {string} url - The URL associated with the cookies
+ * @param {string[]} names - Array of cookie names to delete
+ * @param {string} [storeId] - Cookie store (container) to delete from
+ * @returns {Promise<{success: boolean, deleted: number, failed: number}>}
+ */
+async function deleteCookiesByNames(url, names, storeId) {
+  let deleted = 0;
+  let failed = 0;
+
+  for (const name of names) {
+    const result = await deleteCookie(url, name, storeId);
+    if (result.success) {
+      deleted++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { success: failed === 0, deleted, failed };
+}
+
+/**
+ * Remove one cookie from cookies.getAll(), in its own store and partition
+ * @param {object} cookie
+ * @returns {Promise<boolean>} Whether it was removed
+ */
+async function removeCookieExactly(cookie) {
+  const protocol = cookie.secure ? "https://" : "http://";
+  const cookieUrl = `${protocol}${cookie.domain.replace(/^\./, "")}${cookie.path}`;
+
+  try {
+    await Platform.api.cookies.remove({
+      url: cookieUrl,
+      name: cookie.name,
+      storeId: cookie.storeId,
+      ...(cookie.partitionKey ? { partitionKey: cookie.partitionKey } : {}),
+      ...(cookie.firstPartyDomain ? { firstPartyDomain: cookie.firstPartyDomain } : {})
+    });
+    return true;
+  } catch (err) {
+    console.warn(`[CookieManager] Failed to delete cookie "${cookie.name}":`, err);
+    return false;
+  }
+}
+
+/**
+ * Delete all cookies for a specific domain
+ * @param {string} domain - The domain (e.g., "claude.ai" or ".claude.ai")
+ * @param {string} [storeId] - Cookie store (container) to delete from; other stores are untouched
+ * @returns {Promise<{success: boolean, count: number, error?: string}>}
+ */
+async function deleteAllCookiesForDomain(domain, storeId) {
+  try {
+    // Normalize domain - remove leading dot if present for the query
+    const normalizedDomain = domain.startsWith(".") ? domain.substring(1) : domain;
+    
+    // Get all cookies for the domain (including subdomains) in this store only
+    const cookies = await getAllCookies({ domain: normalizedDomain, ...storeFilter(storeId) });
+    
+    console.log(`[CookieManager] Found ${cookies.length} cookies for domain "${domain}"`);
+
+    if (cookies.length === 0) {
+      return { success: true, count: 0 };
+    }
+
+    let deletedCount = 0;
+    for (const cookie of cookies) {
+      if (await removeCookieExactly(cookie)) {
+        deletedCount++;
+      }
+    }
+
+    console.log(`[CookieManager] Deleted ${deletedCount}/${cookies.length} cookies for "${domain}"`);
+    return { success: true, count: deletedCount };
+  } catch (error) {
+    console.error(`[CookieManager] Error deleting cookies for "${domain}":`, error);
+    return { success: false, count: 0, error: error.message };
+  }
+}
+
+/**
+ * Get all cookies for a domain
+ * @param {string} domain - The domain to list cookies for
+ * @param {string} [storeId] - Cookie store (container) to list
+ * @returns {Promise<{success: boolean, cookies: object[], error?: string}>}
+ */
+async function listCookiesForDomain(domain, storeId) {
+  try {
+    const normalizedDomain = domain.startsWith(".") ? domain.substring(1) : domain;
+    const cookies = await Platform.api.cookies.getAll({ domain: normalizedDomain, ...storeFilter(storeId) });
+    
+    console.log(`[CookieManager] Listed ${cookies.length} cookies for "${domain}"`);
+    return { success: true, cookies };
+  } catch (error) {
+    console.error(`[CookieManager] Error listing cookies for "${domain}":`, error);
+    return { success: false, cookies: [], error: error.message };
+  }
+}
+
+/**
+ * Find an open tab showing an origin
+ * @param {string} origin
+ * @param {number} [tabId] - Preferred tab (e.g., the popup's)
+ * @param {string} [storeId] - Container the tab must be in
+ * @returns {Promise<object|null>}
+ */
+async function findOriginTab(origin, tabId, storeId) {
+  const isMatch = tab => {
+    try {
+      return new URL(tab.url).origin === origin &&
+        (!storeId || tab.cookieStoreId === undefined || tab.cookieStoreId === storeId);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (tabId !== undefined) {
+    const tab = await Platform.api.tabs.get(tabId).catch(() => null);
+    if (tab && isMatch(tab)) return tab;
+  }
+
+  const tabs = await Platform.api.tabs.query({});
+  return tabs.find(isMatch) || null;
+}
+
+/**
+ * Clear storage types the browsingData API can't scope to one site by
+ * running clearPageStorage() (script-injector.js) in one of the site's tabs
+ * @param {string} origin
+ * @param {string[]} types
+ * @param {object} [options]
+ * @param {number} [options.tabId] - Preferred tab
+ * @param {string} [options.storeId] - Container to clear
+ * @returns {Promise<{cleared: string[], failed: {type: string, error: string}[]}>}
+ */
+async function clearSiteDataInPage(origin, types, options = {}) {
+  if (types.length === 0) {
+    return { cleared: [], failed: [] };
+  }
+
+  const tab = await findOriginTab(origin, options.tabId, options.storeId);
+  if (!tab) {
+    return {
+      cleared: [],
+      failed: types.map(type => ({ type, error: "No open tab of this site to clear it from" }))
+    };
+  }
+
+  try {
+    return await Platform.scripts.run(tab.id, clearPageStorage, [types]);
+  } catch (error) {
+    return { cleared: [], failed: types.map(type => ({ type, error: error.message })) };
+  }
+}
+
+/**
+ * Clear all site data for a specific origin, and nothing of other sites
+ * Chrome scopes every type with 'origins'. Firefox only has 'hostnames', for
+ * localStorage, indexedDB and serviceWorkers (older versions: localStorage
+ * only); whatever it can't scope, Cache Storage included, is cleared from
+ * inside an open tab of the site
+ * @param {string} origin - The origin URL (e.g., "https://claude.ai")
+ * @param {Object} options - Options for clearing data
+ * @param {boolean} options.includeGlobalData - If true, also clears cache and pluginData globally (affects all sites)
+ * @param {number} [options.tabId] - Tab of the site to clear from when needed
+ * @param {string} [options.storeId] - Container to clear
+ * @returns {Promise<{success: boolean, cleared: string[], failed: {type: string, error: string}[], error?: string}>}
+ */
+async function clearSiteData(origin, options = {}) {
+  const { includeGlobalData = false, tabId, storeId } = options;
+  const cleared = [];
+  const failed = [];
+
+  try {
+    console.log(`[SiteDataManager] Clearing site data for ${origin}${includeGlobalData ? ' (including global data)' : ''}`);
+
+    const originScopedTypes = {
+      cacheStorage: true,
+      localStorage: true,
+      indexedDB: true,
+      serviceWorkers: true,
+    };
+
+    try {
+      // Try Chrome-style with 'origins' property
+      await Platform.api.browsingData.remove({ origins: [origin] }, originScopedTypes);
+      cleared.push(...Object.keys(originScopedTypes));
+    } catch (originsError) {
+      // Clearing globally instead would wipe every other site's data
+      console.log(`[SiteDataManager] 'origins' not supported, using hostnames and the page`);
+
+      const pageTypes = ["cacheStorage"];
+      const hostnameTypes = ["localStorage", "indexedDB", "serviceWorkers"];
+      const removalOptions = {
+        hostnames: [new URL(origin).hostname],
+        ...(storeId && Platform.cookies.containers ? { cookieStoreId: storeId } : {})
+      };
+
+      for (const type of hostnameTypes) {
+        if (!Platform.browsingData.hostnames) {
+          pageTypes.push(type);
+          continue;
+        }
+        try {
+          await Platform.api.browsingData.remove(removalOptions, { [type]: true });
+          cleared.push(`${type} (via hostnames)`);
+        } catch (hostnamesError) {
+          pageTypes.push(type);
+        }
+      }
+
+      const page = await clearSiteDataInPage(origin, pageTypes, { tabId, storeId });
+      cleared.push(...page.cleared);
+      failed.push(...page.failed);
+    }
+
+    // Optionally clear global data types (cache, pluginData - affects ALL sites)
+    if (includeGlobalData) {
+      const globalTypes = {
+        cache: true,
+        pluginData: true,
+      };
+      await Platform.api.browsingData.remove({ since: 0 }, globalTypes);
+      cleared.push(...Object.keys(globalTypes).map(t => `${t} (global)`));
+      console.log(`[SiteDataManager] Also cleared global data types: cache, pluginData`);
+    }
+
+    console.log(`[SiteDataManager] Cleared site data types:`, cleared, "failed:", failed);
+    return { success: failed.length === 0, cleared, failed };
+  } catch (error) {
+    console.error(`[SiteDataManager] Error clearing site data for "${origin}":`, error);
+    return { success: false, cleared, failed, error: error.message };
+  }
+}
+
+/**
+ * Get a specific cookie by URL and name
+ * @param {string} url - The URL associated with the cookie
+ * @param {string} name - The cookie name
+ * @param {string} [storeId] - Cookie store (container) to read from
+ * @returns {Promise<{success: boolean, cookie?: object, error?: string}>}
+ */
+async function getCookie(url, name, storeId) {
+  try {
+    const cookie = await Platform.api.cookies.get({ url, name, ...storeFilter(storeId) });
+    if (cookie) {
+      return { success: true, cookie };
+    } else {
+      return { success: false, error: "Cookie not found" };
+    }
+  } catch (error) {
+    console.error(`[CookieManager] Error getting cookie "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Set a cookie
+ * @param {object} cookieDetails - Cookie details object
+ * @param {string} [storeId] - Cookie store (container) used when the details name none
+ * @returns {Promise<{success: boolean, cookie?: object, error?: string}>}
+ */
+async function setCookie(cookieDetails, storeId) {
+  try {
+    const cookie = await Platform.api.cookies.set({ ...storeFilter(storeId), ...cookieDetails });
+    if (cookie) {
+      console.log(`[CookieManager] Set cookie "${cookieDetails.name}"`);
+      return { success: true, cookie };
+    } else {
+      return { success: false, error: "Failed to set cookie" };
+    }
+  } catch (error) {
+    console.error(`[CookieManager] Error setting cookie:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// Platform-Specific Cookie Configurations
+// ============================================================================
+
+const PLATFORM_COOKIES = {
+  "claude.ai": {
+    url: "https://claude.ai",
+    domain: "claude.ai",
+    // Common cookies that might need clearing for reset
+    resetCookies: ["sessionKey", "__cf_bm", "cf_clearance", "activityToken"],
+    // Login cookies, first present one identifies the account
+    sessionCookies: ["sessionKey"],
+    // Cookies an allowlist reset keeps unless the user edits the list
+    keepCookies: ["sessionKey", "lastActiveOrg"]
+  },
+  "grok.com": {
+    url: "https://grok.com",
+    domain: "grok.com",
+    resetCookies: ["session", "auth_token"],
+    sessionCookies: ["sso", "auth_token", "session"],
+    keepCookies: ["sso", "sso-rw", "auth_token", "session"]
+  },
+  "chat.deepseek.com": {
+    url: "https://chat.deepseek.com",
+    domain: "deepseek.com",
+    resetCookies: ["session_id", "token"],
+    sessionCookies: ["ds_session_id", "session_id", "token"],
+    keepCookies: ["ds_session_id", "session_id", "token"]
+  },
+  "chatgpt.com": {
+    url: "https://chatgpt.com",
+    domain: "chatgpt.com",
+    resetCookies: ["__Secure-next-auth.session-token", "_puid"],
+    sessionCookies: ["__Secure-next-auth.session-token", "__Secure-next-auth.session-token.0"],
+    keepCookies: ["__Secure-next-auth.session-token", "__Secure-next-auth.session-token.0", "__Secure-next-auth.session-token.1", "oai-did"]
+  },
+  "chat.openai.com": {
+    url: "https://chat.openai.com",
+    domain: "openai.com",
+    resetCookies: ["__Secure-next-auth.session-token", "_puid"],
+    sessionCookies: ["__Secure-next-auth.session-token", "__Secure-next-auth.session-token.0"],
+    keepCookies: ["__Secure-next-auth.session-token", "__Secure-next-auth.session-token.0", "__Secure-next-auth.session-token.1", "oai-did"]
+  },
+  "gemini.google.com": {
+    url: "https://gemini.google.com",
+    domain: "google.com",
+    // google.com cookies sign in every Google service: resets only touch this host
+    resetDomain: "gemini.google.com",
+    resetCookies: ["SIDCC", "__Secure-1PSIDCC"],
+    sessionCookies: ["__Secure-1PSID", "SID"],
+    keepCookies: [
+      "SID", "HSID", "SSID", "APISID", "SAPISID",
+      "__Secure-1PSID", "__Secure-3PSID", "__Secure-1PAPISID", "__Secure-3PAPISID",
+      "__Secure-1PSIDTS", "__Secure-3PSIDTS"
+    ]
+  },
+  "aistudio.google.com": {
+    url: "https://aistudio.google.com",
+    domain: "google.com",
+    // google.com cookies sign in every Google service: resets only touch this host
+    resetDomain: "aistudio.google.com",
+    resetCookies: ["SIDCC", "__Secure-1PSIDCC"],
+    sessionCookies: ["__Secure-1PSID", "SID"],
+    keepCookies: [
+      "SID", "HSID", "SSID", "APISID", "SAPISID",
+      "__Secure-1PSID", "__Secure-3PSID", "__Secure-1PAPISID", "__Secure-3PAPISID",
+      "__Secure-1PSIDTS", "__Secure-3PSIDTS"
+    ]
+  }
+};
+
+/**
+ * Domain whose cookies an allowlist reset or a cleanup rule may delete
+ * @param {object} config - Platform configuration
+ * @returns {string}
+ */
+function getResetDomain(config) {
+  return config.resetDomain || config.domain;
+}
+
+/**
+ * Get platform configuration from hostname
+ * @param {string} hostname - The hostname (e.g., "claude.ai")
+ * @returns {object|null} Platform configuration or null if not found
+ */
+function getPlatformConfig(hostname) {
+  // Direct match
+  if (PLATFORM_COOKIES[hostname]) {
+    return PLATFORM_COOKIES[hostname];
+  }
+  
+  // Try without www prefix
+  const withoutWww = hostname.replace(/^www\./, "");
+  if (PLATFORM_COOKIES[withoutWww]) {
+    return PLATFORM_COOKIES[withoutWww];
+  }
+  
+  return null;
+}
+
+// ============================================================================
+// Cookie Snapshots - Save and restore a platform's whole cookie jar
+// ============================================================================
+
+const SNAPSHOT_STORAGE_KEY = "cookieSnapshots";
+
+/**
+ * Get every cookie matching a filter, partitioned (CHIPS) cookies included
+ * @param {object} details - Filter for cookies.getAll()
+ * @returns {Promise<object[]>}
+ */
+async function getAllCookies(details) {
+  try {
+    return await Platform.api.cookies.getAll({ ...details, partitionKey: {} });
+  } catch (error) {
+    // Browser doesn't know partitionKey yet
+    return Platform.api.cookies.getAll(details);
+  }
+}
+
+/**
+ * Build cookies.set() details that recreate a cookie exactly
+ * Host-only cookies get no domain (setting one would widen them to subdomains)
+ * and session cookies get no expiration date
+ * @param {object} cookie - Cookie from cookies.getAll()
+ * @param {string|null} [storeId] - Store to recreate it in (undefined: the cookie's own,
+ *   null: the default store)
+ * @returns {object}
+ */
+function cookieToSetDetails(cookie, storeId) {
+  const details = {
+    url: `${cookie.secure ? "https" : "http"}://${cookie.domain.replace(/^\./, "")}${cookie.path}`,
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly
+  };
+
+  if (!cookie.hostOnly) details.domain = cookie.domain;
+  if (!cookie.session && cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+  if (cookie.sameSite) details.sameSite = cookie.sameSite;
+  if (storeId) {
+    details.storeId = storeId;
+  } else if (storeId === undefined && cookie.storeId) {
+    details.storeId = cookie.storeId;
+  }
+  if (cookie.partitionKey) details.partitionKey = cookie.partitionKey;
+  if (cookie.firstPartyDomain) details.firstPartyDomain = cookie.firstPartyDomain;
+
+  return details;
+}
+
+/**
+ * Read all stored snapshots of a platform
+ * @param {object} config - Platform configuration
+ * @returns {Promise<object>} Snapshots keyed by name
+ */
+async function getStoredSnapshots(config) {
+  const stored = await Platform.api.storage.local.get(SNAPSHOT_STORAGE_KEY);
+  const all = stored[SNAPSHOT_STORAGE_KEY] || {};
+  return all[config.domain] || {};
+}
+
+/**
+ * Write all snapshots of a platform back to storage
+ * @param {object} config - Platform configuration
+ * @param {object} snapshots - Snapshots keyed by name
+ */
+async function setStoredSnapshots(config, snapshots) {
+  const stored = await Platform.api.storage.local.get(SNAPSHOT_STORAGE_KEY);
+  const all = stored[SNAPSHOT_STORAGE_KEY] || {};
+  all[config.domain] = snapshots;
+  await Platform.api.storage.local.set({ [SNAPSHOT_STORAGE_KEY]: all });
+}
+
+/**
+ * Summarize a snapshot without its cookie values
+ * @param {object} snapshot
+ * @returns {{name: string, domain: string, count: number, fingerprint: string|null, createdAt: number}}
+ */
+function describeSnapshot(snapshot) {
+  return {
+    name: snapshot.name,
+    domain: snapshot.domain,
+    count: snapshot.cookies.length,
+    fingerprint: snapshot.fingerprint || null,
+    createdAt: snapshot.createdAt
+  };
+}
+
+/**
+ * Capture every cookie of a platform's domain under a name
+ * Saving under an existing name replaces that snapshot
+ * @param {string} hostname - Platform hostname (e.g., "claude.ai")
+ * @param {string} name - Snapshot name
+ * @param {string} [storeId] - Cookie store (container) to capture
+ * @returns {Promise<{success: boolean, snapshot?: object, error?: string}>}
+ */
+async function saveCookieSnapshot(hostname, name, storeId) {
+  try {
+    const config = getPlatformConfig(hostname);
+    if (!config) {
+      return { success: false, error: "Unknown platform" };
+    }
+    if (!name || !name.trim()) {
+      return { success: false, error: "Snapshot name is required" };
+    }
+
+    const cookies = await getAllCookies({ domain: config.domain, ...storeFilter(storeId) });
+    const session = await fingerprintSession(config, cookies);
+    const snapshot = {
+      name: name.trim(),
+      domain: config.domain,
+      fingerprint: session ? session.fingerprint : null,
+      createdAt: Date.now(),
+      cookies
+    };
+
+    const snapshots = await getStoredSnapshots(config);
+    snapshots[snapshot.name] = snapshot;
+    await setStoredSnapshots(config, snapshots);
+
+    console.log(`[CookieManager] Saved snapshot "${snapshot.name}" with ${cookies.length} cookies for "${config.domain}"`);
+    return { success: true, snapshot: describeSnapshot(snapshot) };
+  } catch (error) {
+    console.error(`[CookieManager] Error saving snapshot "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List the snapshots saved for a platform
+ * @param {string} hostname - Platform hostname
+ * @returns {Promise<{success: boolean, snapshots: object[], error?: string}>}
+ */
+async function listCookieSnapshots(hostname) {
+  try {
+    const config = getPlatformConfig(hostname);
+    if (!config) {
+      return { success: false, snapshots: [], error: "Unknown platform" };
+    }
+
+    const snapshots = Object.values(await getStoredSnapshots(config))
+      .map(describeSnapshot)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { success: true, snapshots };
+  } catch (error) {
+    console.error(`[CookieManager] Error listing snapshots:`, error);
+    return { success: false, snapshots: [], error: error.message };
+  }
+}
+
+/**
+ * Recreate every cookie of a snapshot via setCookie()
+ * Cookies that have expired since the snapshot was taken are skipped
+ * @param {string} hostname - Platform hostname
+ * @param {string} name - Snapshot name
+ * @param {string|null} [storeId] - Cookie store (container) to restore into (undefined: where
+ *   it was taken, null: the default store)
+ * @returns {Promise<{success: boolean, restored: number, expired: number, failed: object[], error?: string}>}
+ */
+async function restoreCookieSnapshot(hostname, name, storeId) {
+  try {
+    const config = getPlatformConfig(hostname);
+    if (!config) {
+      return { success: false, restored: 0, expired: 0, failed: [], error: "Unknown platform" };
+    }
+
+    const snapshot = (await getStoredSnapshots(config))[name];
+    if (!snapshot) {
+      return { success: false, restored: 0, expired: 0, failed: [], error: `No snapshot named "${name}"` };
+    }
+
+    const now = Date.now() / 1000;
+    let restored = 0;
+    let expired = 0;
+    const failed = [];
+
+    for (const cookie of snapshot.cookies) {
+      if (!cookie.session && cookie.expirationDate && cookie.expirationDate < now) {
+        expired++;
+        continue;
+      }
+
+      const result = await setCookie(cookieToSetDetails(cookie, storeId));
+      if (result.success) {
+        restored++;
+      } else {
+        failed.push({ name: cookie.name, domain: cookie.domain, error: result.error });
+      }
+    }
+
+    console.log(`[CookieManager] Restored ${restored}/${snapshot.cookies.length} cookies from snapshot "${name}"`);
+    return { success: failed.length === 0, restored, expired, failed };
+  } catch (error) {
+    console.error(`[CookieManager] Error restoring snapshot "${name}":`, error);
+    return { success: false, restored: 0, expired: 0, failed: [], error: error.message };
+  }
+}
+
+/**
+ * Delete a saved snapshot
+ * @param {string} hostname - Platform hostname
+ * @param {string} name - Snapshot name
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteCookieSnapshot(hostname, name) {
+  try {
+    const config = getPlatformConfig(hostname);
+    if (!config) {
+      return { success: false, error: "Unknown platform" };
+    }
+
+    const snapshots = await getStoredSnapshots(config);
+    if (!snapshots[name]) {
+      return { success: false, error: `No snapshot named "${name}"` };
+    }
+
+    delete snapshots[name];
+    await setStoredSnapshots(config, snapshots);
+    console.log(`[CookieManager] Deleted snapshot "${name}"`);
+    return { success: true };
+  } catch (error) {
+    console.error(`[CookieManager] Error deleting snapshot "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// Accounts - Switch between snapshots of different logins
+// ============================================================================
+
+/**
+ * Fingerprint the login cookie of a cookie list
+ * Only a short SHA-256 prefix is kept, never the session token itself
+ * @param {object} config - Platform configuration
+ * @param {object[]} cookies - Cookies of the platform's domain
+ * @returns {Promise<{cookieName: string, fingerprint: string}|null>} null when logged out
+ */
+async function fingerprintSession(config, cookies) {
+  for (const name of config.sessionCookies || []) {
+    const cookie = cookies.find(candidate => candidate.name === name && candidate.value);
+    if (!cookie) continue;
+
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(cookie.value));
+    const fingerprint = Array.from(new Uint8Array(digest).slice(0, 6))
+      .map(byte => byte.toString(16).padStart(2, "0"))
+      .join("");
+    return { cookieName: name, fingerprint };
+  }
+
+  return null;
+}
+
+/**
+ * Work out which saved account is logged in right now
+ * @param {string} hostname - Platform hostname
+ * @param {string} [storeId] - Cookie store (container) to look at
+ * @returns {Promise<{success: boolean, loggedIn: boolean, account: string|null, fingerprint?: string, cookieName?: string, error?: string}>}
+ */
+async function getActiveAccount(hostname, storeId) {
+  try {
+    const config = getPlatformConfig(hostname);
+    if (!config) {
+      return { success: false, loggedIn: false, account: null, error: "Unknown platform" };
+    }
+
+    const cookies = await getAllCookies({ domain: config.domain, ...storeFilter(storeId) });
+    const session = await fingerprintSession(config, cookies);
+    if (!session) {
+      return { success: true, loggedIn: false, account: null };
+    }
+
+    const match = Object.values(await getStoredSnapshots(config))
+      .find(snapshot => snapshot.fingerprint === session.fingerprint);
+
+    return {
+      success: true,
+      loggedIn: true,
+      account: match ? match.name : null,
+      ...session
+    };
+  } catch (error) {
+    console.error(`[CookieManager] Error reading active account:`, error);
+    return { success: false, loggedIn: false, account: null, error: error.message };
+  }
+}
+
+/**
+ * Swap the platform's cookies for a saved account and reload the tab
+ * @param {string} hostname - Platform hostname
+ * @param {string} name - Snapshot (account) name
+ * @param {number} [tabId] - Tab to reload afterwards
+ * @param {string} [storeId] - Cookie store (container) to switch; other containers keep their login
+ * @returns {Promise<{success: boolean, deleted: number, restored: number, expired: number, failed: object[], error?: string}>}
+ */
+async function switchAccount(hostname, name, tabId, storeId) {
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, deleted: 0, restored: 0, expired: 0, failed: [], error: "Unknown platform" };
+  }
+
+  const snapshots = await getStoredSnapshots(config);
+  if (!snapshots[name]) {
+    return { success: false, deleted: 0, restored: 0, expired: 0, failed: [], error: `No account named "${name}"` };
+  }
+
+  const deleteResult = await deleteAllCookiesForDomain(config.domain, storeId);
+  if (!deleteResult.success) {
+    return { success: false, deleted: 0, restored: 0, expired: 0, failed: [], error: deleteResult.error };
+  }
+
+  const restoreResult = await restoreCookieSnapshot(hostname, name, storeId || null);
+  if (tabId) {
+    await Platform.api.tabs.reload(tabId);
+  }
+
+  console.log(`[CookieManager] Switched ${config.domain} to account "${name}"`);
+  return { ...restoreResult, deleted: deleteResult.count };
+}
+
+// ============================================================================
+// Cookie Export/Import - JSON and Netscape cookies.txt
+// ============================================================================
+
+const NETSCAPE_HEADER = "# Netscape HTTP Cookie File";
+const NETSCAPE_HTTPONLY_PREFIX = "#HttpOnly_";
+const SAME_SITE_VALUES = ["no_restriction", "lax", "strict"];
+
+/**
+ * Keep the attributes of a cookie that mean something in another profile
+ * (the store id doesn't)
+ * @param {object} cookie - Cookie from cookies.getAll()
+ * @returns {object}
+ */
+function exportableCookie(cookie) {
+  const exported = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite,
+    hostOnly: cookie.hostOnly,
+    session: cookie.session
+  };
+  if (!cookie.session) exported.expirationDate = cookie.expirationDate;
+  if (cookie.partitionKey) exported.partitionKey = cookie.partitionKey;
+  if (cookie.firstPartyDomain) exported.firstPartyDomain = cookie.firstPartyDomain;
+  return exported;
+}
+
+/**
+ * Write cookies as Netscape cookies.txt (curl, wget, yt-dlp)
+ * Session cookies get expiry 0, HttpOnly cookies the "#HttpOnly_" prefix
+ * @param {object[]} cookies
+ * @returns {string}
+ */
+function formatNetscapeCookies(cookies) {
+  const lines = cookies.map(cookie => [
+    (cookie.httpOnly ? NETSCAPE_HTTPONLY_PREFIX : "") + cookie.domain,
+    cookie.hostOnly ? "FALSE" : "TRUE",
+    cookie.path,
+    cookie.secure ? "TRUE" : "FALSE",
+    cookie.session ? 0 : Math.floor(cookie.expirationDate),
+    cookie.name,
+    cookie.value
+  ].join("\t"));
+
+  return [NETSCAPE_HEADER, "", ...lines, ""].join("\n");
+}
+
+/**
+ * Read Netscape cookies.txt
+ * @param {string} text
+ * @returns {object[]} Cookies in cookies.getAll() shape
+ */
+function parseNetscapeCookies(text) {
+  const cookies = [];
+
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+
+    if (line.startsWith(NETSCAPE_HTTPONLY_PREFIX)) {
+      httpOnly = true;
+      line = line.substring(NETSCAPE_HTTPONLY_PREFIX.length);
+    } else if (!line.trim() || line.trimStart().startsWith("#")) {
+      continue;
+    }
+
+    const fields = line.split("\t");
+    if (fields.length < 7) {
+      throw new Error(`Not a cookies.txt line: "${line.substring(0, 40)}"`);
+    }
+
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+    const expirationDate = Number(expires);
+    const hostOnly = includeSubdomains.toUpperCase() !== "TRUE";
+
+    cookies.push({
+      name,
+      value: value.join("\t"),
+      domain: hostOnly ? domain.replace(/^\./, "") : (domain.startsWith(".") ? domain : `.${domain}`),
+      path: path || "/",
+      secure: secure.toUpperCase() === "TRUE",
+      httpOnly,
+      hostOnly,
+      session: !expirationDate,
+      expirationDate: expirationDate || undefined
+    });
+  }
+
+  return cookies;
+}
+
+/**
+ * Read an exported JSON cookie list (an array, or an object with a cookies array)
+ * @param {string} text
+ * @returns {object[]} Cookies in cookies.getAll() shape
+ */
+function parseJsonCookies(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.cookies;
+  if (!Array.isArray(list)) {
+    throw new Error("JSON must be an array of cookies");
+  }
+
+  return list.map((cookie, index) => {
+    if (!cookie || typeof cookie.name !== "string" || typeof cookie.domain !== "string") {
+      throw new Error(`Cookie #${index + 1} has no name or domain`);
+    }
+
+    const session = cookie.session !== undefined ? !!cookie.session : !cookie.expirationDate;
+    const sameSite = String(cookie.sameSite || "").toLowerCase();
+    return exportableCookie({
+      ...cookie,
+      value: String(cookie.value ?? ""),
+      path: cookie.path || "/",
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly,
+      // Other tools write "None"; "unspecified" is Chrome-only
+      sameSite: sameSite === "none" ? "no_restriction" : SAME_SITE_VALUES.includes(sameSite) ? sameSite : undefined,
+      hostOnly: cookie.hostOnly !== undefined ? !!cookie.hostOnly : !cookie.domain.startsWith("."),
+      session,
+      expirationDate: session ? undefined : Number(cookie.expirationDate)
+    });
+  });
+}
+
+/**
+ * Tell the two formats apart by their first meaningful character
+ * @param {string} text
+ * @returns {"json"|"netscape"}
+ */
+function detectCookieFormat(text) {
+  const start = text.trimStart()[0];
+  return start === "[" || start === "{" ? "json" : "netscape";
+}
+
+/**
+ * Export the cookies listCookiesForDomain() returns for a domain
+ * @param {string} domain - Domain to export
+ * @param {"json"|"netscape"} [format="json"]
+ * @param {string} [storeId] - Cookie store (container) to export from
+ * @returns {Promise<{success: boolean, format: string, count: number, data?: string, error?: string}>}
+ */
+async function exportCookies(domain, format = "json", storeId) {
+  const result = await listCookiesForDomain(domain, storeId);
+  if (!result.success) {
+    return { success: false, format, count: 0, error: result.error };
+  }
+
+  const cookies = result.cookies.map(exportableCookie);
+  const data = format === "netscape"
+    ? formatNetscapeCookies(cookies)
+    : JSON.stringify(cookies, null, 2);
+
+  console.log(`[CookieManager] Exported ${cookies.length} cookies for "${domain}" as ${format}`);
+  return { success: true, format, count: cookies.length, data };
+}
+
+/**
+ * Identify a cookie for conflict decisions
+ * @param {object} cookie
+ * @returns {string}
+ */
+function cookieImportKey(cookie) {
+  return `${cookie.name}|${cookie.domain}|${cookie.path}`;
+}
+
+/**
+ * Find the cookie an imported one would replace
+ * @param {object} cookie - Imported cookie
+ * @param {string} [storeId] - Cookie store (container) to look in
+ * @returns {Promise<object|null>}
+ */
+async function findExistingCookie(cookie, storeId) {
+  const candidates = await getAllCookies({
+    name: cookie.name,
+    domain: cookie.domain.replace(/^\./, ""),
+    ...storeFilter(storeId)
+  });
+  return candidates.find(existing =>
+    existing.domain === cookie.domain && existing.path === cookie.path
+  ) || null;
+}
+
+/**
+ * Parse an export and compare each cookie with the browser's
+ * Status per cookie: "new", "unchanged" (same value), "conflict" (a different
+ * value exists) or "expired"
+ * @param {string} text - JSON or cookies.txt
+ * @param {string} [format] - "json" or "netscape" (detected when omitted)
+ * @param {string} [storeId] - Cookie store (container) to import into
+ * @returns {Promise<{success: boolean, format?: string, entries: object[], error?: string}>}
+ */
+async function previewCookieImport(text, format, storeId) {
+  try {
+    const detected = format || detectCookieFormat(text || "");
+    const cookies = detected === "json" ? parseJsonCookies(text) : parseNetscapeCookies(text);
+    const now = Date.now() / 1000;
+
+    const entries = [];
+    for (const cookie of cookies) {
+      const existing = await findExistingCookie(cookie, storeId);
+      let status = "new";
+      if (!cookie.session && cookie.expirationDate < now) {
+        status = "expired";
+      } else if (existing) {
+        status = existing.value === cookie.value ? "unchanged" : "conflict";
+      }
+
+      entries.push({
+        key: cookieImportKey(cookie),
+        status,
+        cookie,
+        existingValue: existing ? existing.value : null
+      });
+    }
+
+    return { success: true, format: detected, entries };
+  } catch (error) {
+    console.error(`[CookieManager] Error reading cookie import:`, error);
+    return { success: false, entries: [], error: error.message };
+  }
+}
+
+/**
+ * Import cookies through setCookie()
+ * Cookies that would replace a different value are only written when their
+ * resolution (or onConflict) is "overwrite"; expired cookies are never written
+ * @param {object[]} cookies - Cookies from previewCookieImport()
+ * @param {object} [options]
+ * @param {object} [options.resolutions] - "overwrite" or "skip" keyed by cookie key
+ * @param {string} [options.onConflict="skip"] - Resolution of conflicts not in resolutions
+ * @param {string} [storeId] - Cookie store (container) to import into
+ * @returns {Promise<{success: boolean, imported: number, unchanged: number, skipped: number, expired: number, failed: object[], error?: string}>}
+ */
+async function importCookies(cookies, options = {}, storeId) {
+  const resolutions = options.resolutions || {};
+  const onConflict = options.onConflict || "skip";
+  const summary = { imported: 0, unchanged: 0, skipped: 0, expired: 0, failed: [] };
+
+  try {
+    const now = Date.now() / 1000;
+
+    for (const cookie of cookies || []) {
+      if (!cookie.session && cookie.expirationDate < now) {
+        summary.expired++;
+        continue;
+      }
+
+      const existing = await findExistingCookie(cookie, storeId);
+      if (existing && existing.value === cookie.value) {
+        summary.unchanged++;
+        continue;
+      }
+      if (existing && (resolutions[cookieImportKey(cookie)] || onConflict) !== "overwrite") {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = await setCookie(cookieToSetDetails(cookie, storeId || null));
+      if (result.success) {
+        summary.imported++;
+      } else {
+        summary.failed.push({ name: cookie.name, domain: cookie.domain, error: result.error });
+      }
+    }
+
+    console.log(`[CookieManager] Imported ${summary.imported}/${(cookies || []).length} cookies`);
+    return { success: summary.failed.length === 0, ...summary };
+  } catch (error) {
+    console.error(`[CookieManager] Error importing cookies:`, error);
+    return { success: false, ...summary, error: error.message };
+  }
+}
+
+// ============================================================================
+// Message Listener - Handle requests from content scripts and popup
+// ============================================================================
+
+Platform.api.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log("[Background] Received message:", message.action);
+
+  // Handle async responses - must return true to keep channel open
+  const handleMessage = async () => {
+    // Cookie store of the request: explicit storeId or the sender tab's (e.g., incognito)
+    const storeId = await resolveStoreId(message, sender);
+
+    switch (message.action) {
+      case "deleteCookie":
+        return await deleteCookie(message.url, message.name, storeId);
+
+      case "deleteCookiesByNames":
+        return await deleteCookiesByNames(message.url, message.names, storeId);
+
+      case "deleteAllCookies":
+        return await deleteAllCookiesForDomain(message.domain, storeId);
+
+      case "listCookies":
+        return await listCookiesForDomain(message.domain, storeId);
+
+      case "getCookie":
+        return await getCookie(message.url, message.name, storeId);
+
+      case "setCookie":
+        return await setCookie(message.cookieDetails, storeId);
+
+      case "getPlatformConfig":
+        const config = getPlatformConfig(message.hostname);
+        return { success: !!config, config };
+
+      case "resetPlatformCookies":
+        const platformConfig = getPlatformConfig(message.hostname);
+        if (platformConfig) {
+          return await deleteCookiesByNames(platformConfig.url, platformConfig.resetCookies, storeId);
+        }
+        return { success: false, error: "Unknown platform" };
+
+      case "clearPlatformCookies":
+        const platform = getPlatformConfig(message.hostname);
+        if (platform) {
+          return await deleteAllCookiesForDomain(platform.domain, storeId);
+        }
+        return await deleteAllCookiesForDomain(message.hostname, storeId);
+
+      case "saveCookieSnapshot":
+        return await saveCookieSnapshot(message.hostname, message.name, storeId);
+
+      case "listCookieSnapshots":
+        return await listCookieSnapshots(message.hostname);
+
+      case "restoreCookieSnapshot":
+        return await restoreCookieSnapshot(message.hostname, message.name, storeId);
+
+      case "deleteCookieSnapshot":
+        return await deleteCookieSnapshot(message.hostname, message.name);
+
+      case "getActiveAccount":
+        return await getActiveAccount(message.hostname, storeId);
+
+      case "switchAccount":
+        return await switchAccount(message.hostname, message.name, message.tabId, storeId);
+
+      case "exportCookies":
+        return await exportCookies(message.domain, message.format, storeId);
+
+      case "previewCookieImport":
+        return await previewCookieImport(message.text, message.format, storeId);
+
+      case "importCookies":
+        return await importCookies(message.cookies, {
+          resolutions: message.resolutions,
+          onConflict: message.onConflict
+        }, storeId);
+
+      case "resetCookiesExcept":
+        return await resetCookiesExcept(message.hostname, storeId, message.dryRun === true);
+
+      case "getCookieAllowlist":
+        return await getCookieAllowlist(message.hostname);
+
+      case "setCookieAllowlist":
+        return await setCookieAllowlist(message.hostname, message.names);
+
+      case "getCookieHistory":
+        return await getCookieHistory(message.hostname);
+
+      case "clearCookieHistory":
+        return await clearCookieHistory(message.hostname);
+
+      case "getSessionStatus":
+        return await getSessionStatus(message.hostname, storeId);
+
+      case "getSessionWarningSettings":
+        return { success: true, settings: await getSessionWarningSettings() };
+
+      case "setSessionWarningSettings":
+        return await setSessionWarningSettings(message.settings || {});
+
+      case "getCleanupRules":
+        return { success: true, rules: await getCleanupRules(), platforms: Object.keys(PLATFORM_COOKIES) };
+
+      case "saveCleanupRules":
+        return await saveCleanupRules(message.rules);
+
+      case "runCleanupRule":
+        return await runCleanupRuleNow(message.ruleId);
+
+      case "getCleanupLog":
+        return { success: true, log: await getCleanupLog() };
+
+      case "clearCleanupLog":
+        await Platform.api.storage.local.remove(CLEANUP_LOG_KEY);
+        return { success: true };
+
+      // Web Storage and IndexedDB of a tab's page (message.tabId or the sender's tab)
+      case "inspectSiteStorage":
+        return await inspectSiteStorage(message.tabId !== undefined ? message.tabId : sender.tab && sender.tab.id);
+
+      case "deleteSiteStorageItem":
+        return await deleteSiteStorageItem(
+          message.tabId !== undefined ? message.tabId : sender.tab && sender.tab.id,
+          message.type,
+          message.name
+        );
+
+      // Tab manager: every window's tabs grouped by platform, and actions on one tab
+      case "listTabGroups":
+        return await listTabGroups();
+
+      case "runTabAction":
+        return await runTabAction(message.tabId, message.tabAction);
+
+      // Workspaces: named sets of a window's AI platform tabs
+      case "listWorkspaces":
+        return await listWorkspaces();
+
+      case "saveWorkspace":
+        return await saveWorkspace(message.name, message.windowId);
+
+      case "restoreWorkspace":
+        return await restoreWorkspace(message.name, message.windowId);
+
+      case "deleteWorkspace":
+        return await deleteWorkspace(message.name);
+
+      case "clearSiteData":
+        return await clearSiteData(message.origin, {
+          includeGlobalData: message.includeGlobalData || false,
+          tabId: message.tabId,
+          storeId
+        });
+
+      default:
+        console.warn("[Background] Unknown action:", message.action);
+        return { success: false, error: "Unknown action" };
+    }
+  };
+
+  // Execute async handler and send response
+  handleMessage().then(sendResponse).catch(error => {
+    console.error("[Background] Error handling message:", error);
+    sendResponse({ success: false, error: error.message });
+  });
+
+  return true; // Keep channel open for async response
+});
+
+// ============================================================================
+// Keyboard Shortcuts - Route commands to the active tab's handler
+// ============================================================================
+
+// Commands answered by the content scripts (logic.js runtime messages)
+const COMMAND_ACTIONS = {
+  "toggle-thinking": "toggleThinking",
+  "rerun-automation": "rerunAutomation",
+  "focus-chat-input": "focusChatInput"
+};
+
+/**
+ * Briefly show the outcome of a shortcut on the toolbar icon
+ * @param {number} tabId - Tab the shortcut acted on
+ * @param {boolean} success - Whether the command worked
+ */
+function flashCommandBadge(tabId, success) {
+  Platform.action.setBadgeBackgroundColor({ tabId, color: success ? "#2ecc71" : "#e74c3c" });
+  Platform.action.setBadgeText({ tabId, text: success ? "✓" : "✗" });
+  setTimeout(async () => {
+    try {
+      // null drops the tab's own text so the global session badge shows again
+      await Platform.action.setBadgeText({ tabId, text: null });
+      // Firefox resets the tab's colour with null; Chrome can't, so it gets the global one
+      const color = Platform.name === "firefox" ? null : await Platform.action.getBadgeBackgroundColor({});
+      await Platform.action.setBadgeBackgroundColor({ tabId, color });
+    } catch (error) {
+      // The tab was closed in the meantime
+    }
+  }, 1500);
+}
+
+/**
+ * Run a keyboard command against the active tab
+ * @param {string} command - Command name from the manifest
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleCommand(command) {
+  const [tab] = await Platform.api.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url) {
+    return { success: false, error: "No active tab" };
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(tab.url).hostname;
+  } catch (error) {
+    return { success: false, error: "Invalid URL" };
+  }
+
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, error: "Active tab is not an AI platform" };
+  }
+
+  let result;
+  if (command === "reset-platform-cookies") {
+    const storeId = await resolveStoreId({}, { tab });
+    result = await deleteCookiesByNames(config.url, config.resetCookies, storeId);
+    await Platform.api.tabs.reload(tab.id);
+  } else if (COMMAND_ACTIONS[command]) {
+    try {
+      // Only the top frame's handler answers
+      result = await Platform.api.tabs.sendMessage(tab.id, { action: COMMAND_ACTIONS[command] }, { frameId: 0 });
+    } catch (error) {
+      result = { success: false, error: "Content scripts not loaded in this tab" };
+    }
+  } else {
+    result = { success: false, error: `Unknown command "${command}"` };
+  }
+
+  result = result || { success: false, error: "No response from page" };
+  flashCommandBadge(tab.id, result.success);
+  return result;
+}
+
+Platform.api.commands.onCommand.addListener((command) => {
+  handleCommand(command).then(result => {
+    if (result.success) {
+      console.log(`[Background] Command "${command}" done`);
+    } else {
+      console.warn(`[Background] Command "${command}" failed:`, result.error);
+    }
+  });
+});
+
+// ============================================================================
+// Send Selection - "Send selection to..." context menu
+// ============================================================================
+
+// Where a selection can be sent: new-chat URL and the tabs that count as the platform
+const SEND_TARGETS = {
+  "claude.ai": { title: "Claude", url: "https://claude.ai/new", matches: ["*://claude.ai/*", "*://www.claude.ai/*"] },
+  "grok.com": { title: "Grok", url: "https://grok.com/", matches: ["*://grok.com/*", "*://www.grok.com/*"] },
+  "chat.deepseek.com": { title: "DeepSeek", url: "https://chat.deepseek.com/", matches: ["*://chat.deepseek.com/*"] },
+  "chatgpt.com": { title: "ChatGPT", url: "https://chatgpt.com/", matches: ["*://chatgpt.com/*", "*://www.chatgpt.com/*", "*://chat.openai.com/*"] },
+  "gemini.google.com": { title: "Gemini", url: "https://gemini.google.com/app", matches: ["*://gemini.google.com/*"] },
+  "aistudio.google.com": { title: "Google AI Studio", url: "https://aistudio.google.com/prompts/new_chat", matches: ["*://aistudio.google.com/*"] }
+};
+
+const SEND_SUBMIT_KEY = "sendSelectionSubmit";
+
+/**
+ * Focus the most recently used tab of a platform, or open a new chat
+ * @param {string} hostname - Key of SEND_TARGETS
+ * @returns {Promise<object>} The tab
+ */
+async function openPlatformTab(hostname) {
+  const target = SEND_TARGETS[hostname];
+  const tabs = await Platform.api.tabs.query({ url: target.matches });
+  const existing = tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+
+  if (!existing) {
+    return Platform.api.tabs.create({ url: target.url });
+  }
+
+  await Platform.api.windows.update(existing.windowId, { focused: true });
+  return Platform.api.tabs.update(existing.id, { active: true });
+}
+
+/**
+ * Hand a prompt to a tab's handler, retrying until its content scripts answer
+ * @param {number} tabId - Tab to send to
+ * @param {string} text - Prompt text
+ * @param {boolean} submit - Whether to send the prompt
+ * @param {number} [timeout=30000] - Give up after this many ms
+ * @returns {Promise<{success: boolean, submitted?: boolean, error?: string}>}
+ */
+async function sendPromptToTab(tabId, text, submit, timeout = 30000) {
+  const deadline = Date.now() + timeout;
+  let lastError = "Tab did not finish loading";
+
+  while (Date.now() < deadline) {
+    let tab;
+    try {
+      tab = await Platform.api.tabs.get(tabId);
+    } catch (error) {
+      return { success: false, error: "Tab was closed" };
+    }
+    if (tab.status === "complete") {
+      try {
+        const result = await Platform.api.tabs.sendMessage(tabId, { action: "insertPrompt", text, submit }, { frameId: 0 });
+        if (result) return result;
+      } catch (error) {
+        // Content scripts not injected yet
+        lastError = error.message;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  return { success: false, error: lastError };
+}
+
+/**
+ * Send selected text to a platform's chat input
+ * @param {string} hostname - Key of SEND_TARGETS
+ * @param {string} text - Selected text
+ */
+async function sendSelectionToPlatform(hostname, text) {
+  const stored = await Platform.api.storage.local.get(SEND_SUBMIT_KEY);
+  const submit = !!stored[SEND_SUBMIT_KEY];
+  const tab = await openPlatformTab(hostname);
+  const result = await sendPromptToTab(tab.id, text, submit);
+
+  if (result.success) {
+    console.log(`[Background] Sent selection to ${hostname}${result.submitted ? " and submitted it" : ""}`);
+  } else {
+    console.warn(`[Background] Could not send selection to ${hostname}:`, result.error);
+  }
+  flashCommandBadge(tab.id, result.success);
+  return result;
+}
+
+/**
+ * Create the selection context menu with one entry per platform
+ */
+async function setupSendSelectionMenu() {
+  try { await Platform.menus.remove("send-selection"); } catch (e) { /* ignore if not exists */ }
+
+  const stored = await Platform.api.storage.local.get(SEND_SUBMIT_KEY);
+
+  Platform.menus.create({
+    id: "send-selection",
+    title: "Send \"%s\" to\u2026",
+    contexts: ["selection"]
+  });
+
+  for (const [hostname, target] of Object.entries(SEND_TARGETS)) {
+    Platform.menus.create({
+      id: `send-to:${hostname}`,
+      parentId: "send-selection",
+      title: target.title,
+      contexts: ["selection"]
+    });
+  }
+
+  Platform.menus.create({
+    id: "send-selection-sep",
+    parentId: "send-selection",
+    type: "separator",
+    contexts: ["selection"]
+  });
+
+  Platform.menus.create({
+    id: "send-selection-submit",
+    parentId: "send-selection",
+    type: "checkbox",
+    title: "Submit after inserting",
+    checked: !!stored[SEND_SUBMIT_KEY],
+    contexts: ["selection"]
+  });
+}
+
+Platform.menus.onClicked.addListener((info) => {
+  if (info.menuItemId === "send-selection-submit") {
+    Platform.api.storage.local.set({ [SEND_SUBMIT_KEY]: info.checked });
+  } else if (typeof info.menuItemId === "string" && info.menuItemId.startsWith("send-to:")) {
+    sendSelectionToPlatform(info.menuItemId.slice("send-to:".length), info.selectionText)
+      .catch(error => console.error("[Background] Could not send selection:", error));
+  }
+});
+
+// ============================================================================
+// Cleanup Rules - Scheduled and tab-triggered cookie/site-data cleanup
+// ============================================================================
+
+const CLEANUP_RULES_KEY = "cleanupRules";
+const CLEANUP_LOG_KEY = "cleanupLog";
+const CLEANUP_OPEN_PLATFORMS_KEY = "cleanupOpenPlatforms";
+const CLEANUP_LOG_LIMIT = 100;
+const CLEANUP_ALARM_PREFIX = "cleanup:";
+
+const CLEANUP_TRIGGERS = ["daily", "interval", "lastTabClosed"];
+const CLEANUP_ACTIONS = ["deleteCookies", "keepOnly", "deleteAll", "clearSiteData"];
+
+/**
+ * Delete the cookies of a domain a predicate picks
+ * @param {string} domain - Domain (subdomains included)
+ * @param {function(object): boolean} predicate - Picks cookies to delete
+ * @param {string} [storeId] - Cookie store (container) to delete from
+ * @param {boolean} [dryRun=false] - Only report what would be deleted
+ * @returns {Promise<{success: boolean, deleted: string[], kept: string[], domains: string[], error?: string}>}
+ *   domains lists the cookie domains deleted from
+ */
+async function deleteCookiesMatching(domain, predicate, storeId, dryRun = false) {
+  try {
+    const cookies = await getAllCookies({ domain: domain.replace(/^\./, ""), ...storeFilter(storeId) });
+    const deleted = [];
+    const kept = [];
+    const domains = new Set();
+
+    for (const cookie of cookies) {
+      if (!predicate(cookie)) {
+        kept.push(cookie.name);
+        continue;
+      }
+      if (dryRun || await removeCookieExactly(cookie)) {
+        deleted.push(cookie.name);
+        domains.add(cookie.domain);
+      }
+    }
+
+    console.log(`[CookieManager] ${dryRun ? "Would delete" : "Deleted"} ${deleted.length}/${cookies.length} cookies for "${domain}"`);
+    return { success: true, deleted, kept, domains: [...domains] };
+  } catch (error) {
+    console.error(`[CookieManager] Error deleting cookies for "${domain}":`, error);
+    return { success: false, deleted: [], kept: [], domains: [], error: error.message };
+  }
+}
+
+/**
+ * Delete every cookie of a domain whose name isn't in a list
+ * @param {string} domain - Domain (subdomains included)
+ * @param {string[]} keepNames - Cookie names to keep
+ * @param {string} [storeId] - Cookie store (container) to delete from
+ * @returns {Promise<{success: boolean, deleted: string[], kept: string[], error?: string}>}
+ */
+function deleteCookiesExcept(domain, keepNames, storeId) {
+  return deleteCookiesMatching(domain, cookie => !keepNames.includes(cookie.name), storeId);
+}
+
+/**
+ * Check a rule from the options page and fill in defaults
+ * @param {object} rule
+ * @returns {object} Normalized rule
+ * @throws {Error} When the rule can't run
+ */
+function normalizeCleanupRule(rule) {
+  const platform = rule && getPlatformConfig(rule.platform || "");
+  if (!platform) {
+    throw new Error(`Unknown platform "${rule && rule.platform}"`);
+  }
+
+  const trigger = { ...rule.trigger };
+  if (!CLEANUP_TRIGGERS.includes(trigger.type)) {
+    throw new Error(`Unknown trigger "${trigger.type}"`);
+  }
+  if (trigger.type === "daily" && !/^([01]\d|2[0-3]):[0-5]\d$/.test(trigger.time || "")) {
+    throw new Error("Daily rules need a time like 03:00");
+  }
+  if (trigger.type === "interval") {
+    trigger.minutes = Math.max(1, Math.round(Number(trigger.minutes) || 0));
+  }
+
+  const action = { ...rule.action };
+  if (!CLEANUP_ACTIONS.includes(action.type)) {
+    throw new Error(`Unknown action "${action.type}"`);
+  }
+  if (action.type === "deleteCookies" || action.type === "keepOnly") {
+    action.names = (action.names || []).map(name => name.trim()).filter(Boolean);
+    if (action.names.length === 0) {
+      throw new Error("List at least one cookie name");
+    }
+  }
+  // Firefox clears Cache Storage from a tab of the site, and none is left by then
+  if (action.type === "clearSiteData" && trigger.type === "lastTabClosed" && Platform.browsingData.hostnames) {
+    throw new Error("Firefox can't clear site data once the last tab has closed, pick a schedule instead");
+  }
+
+  return {
+    id: rule.id || `rule-${Date.now().toString(36)}`,
+    name: (rule.name || "").trim() || `${action.type} on ${rule.platform}`,
+    enabled: rule.enabled !== false,
+    platform: rule.platform,
+    // Container to clean; none means the default store, or for "last tab
+    // closed" rules the store whose last tab closed
+    storeId: rule.storeId || null,
+    trigger,
+    action
+  };
+}
+
+async function getCleanupRules() {
+  const stored = await Platform.api.storage.local.get(CLEANUP_RULES_KEY);
+  return stored[CLEANUP_RULES_KEY] || [];
+}
+
+/**
+ * Validate and store the whole rule list, and reschedule the rules that changed
+ * @param {object[]} rules
+ * @returns {Promise<{success: boolean, rules?: object[], error?: string}>}
+ */
+async function saveCleanupRules(rules) {
+  try {
+    const normalized = (rules || []).map(normalizeCleanupRule);
+    const previous = await getCleanupRules();
+    await Platform.api.storage.local.set({ [CLEANUP_RULES_KEY]: normalized });
+
+    // Only touch the alarms of rules that changed; the others keep their timers
+    for (const rule of normalized) {
+      const before = previous.find(candidate => candidate.id === rule.id);
+      if (!before || before.enabled !== rule.enabled || JSON.stringify(before.trigger) !== JSON.stringify(rule.trigger)) {
+        await scheduleCleanupRule(rule);
+      }
+    }
+    for (const rule of previous) {
+      if (!normalized.some(candidate => candidate.id === rule.id)) {
+        await Platform.api.alarms.clear(CLEANUP_ALARM_PREFIX + rule.id);
+      }
+    }
+    // A new "last tab closed" rule must know the platform's tabs are already open
+    await checkLastTabClosedRules({}, true);
+
+    return { success: true, rules: normalized };
+  } catch (error) {
+    console.error("[Cleanup] Error saving rules:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getCleanupLog() {
+  const stored = await Platform.api.storage.local.get(CLEANUP_LOG_KEY);
+  return stored[CLEANUP_LOG_KEY] || [];
+}
+
+/**
+ * Add a run to the log, newest first, keeping the last CLEANUP_LOG_LIMIT runs
+ * @param {object} entry
+ */
+async function appendCleanupLog(entry) {
+  const log = await getCleanupLog();
+  log.unshift(entry);
+  await Platform.api.storage.local.set({ [CLEANUP_LOG_KEY]: log.slice(0, CLEANUP_LOG_LIMIT) });
+}
+
+/**
+ * Next local time a daily rule fires
+ * @param {string} time - "HH:MM"
+ * @returns {number} Timestamp in milliseconds
+ */
+function nextDailyRun(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const next = new Date();
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= Date.now()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Create the alarm of one rule, or only clear it when the rule isn't scheduled
+ * @param {object} rule - Normalized rule
+ */
+async function scheduleCleanupRule(rule) {
+  const name = CLEANUP_ALARM_PREFIX + rule.id;
+  await Platform.api.alarms.clear(name);
+  if (!rule.enabled) return;
+
+  if (rule.trigger.type === "daily") {
+    Platform.api.alarms.create(name, { when: nextDailyRun(rule.trigger.time), periodInMinutes: 24 * 60 });
+  } else if (rule.trigger.type === "interval") {
+    Platform.api.alarms.create(name, { delayInMinutes: rule.trigger.minutes, periodInMinutes: rule.trigger.minutes });
+  }
+}
+
+/**
+ * Give every enabled scheduled rule its alarm and drop alarms of rules that are gone
+ * Alarms that already exist are kept, so waking the background doesn't push
+ * the next run back
+ * @param {boolean} [reschedule=false] - Recreate every alarm (install, browser startup)
+ */
+async function scheduleCleanupRules(reschedule = false) {
+  const rules = (await getCleanupRules())
+    .filter(rule => rule.enabled && rule.trigger.type !== "lastTabClosed");
+  const existing = (await Platform.api.alarms.getAll())
+    .map(alarm => alarm.name)
+    .filter(name => name.startsWith(CLEANUP_ALARM_PREFIX));
+
+  for (const name of existing) {
+    if (!rules.some(rule => CLEANUP_ALARM_PREFIX + rule.id === name)) {
+      await Platform.api.alarms.clear(name);
+    }
+  }
+
+  for (const rule of rules) {
+    if (reschedule || !existing.includes(CLEANUP_ALARM_PREFIX + rule.id)) {
+      await scheduleCleanupRule(rule);
+    }
+  }
+}
+
+/**
+ * Run a rule's action on its platform and log what it removed
+ * @param {object} rule - Normalized rule
+ * @param {string} reason - "schedule", "lastTabClosed" or "manual"
+ * @param {string} [storeId] - Cookie store to clean (defaults to the rule's)
+ * @returns {Promise<object>} Log entry
+ */
+async function runCleanupRule(rule, reason, storeId = rule.storeId || undefined) {
+  const config = getPlatformConfig(rule.platform);
+  const entry = {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    platform: rule.platform,
+    storeId: storeId || null,
+    reason,
+    at: Date.now(),
+    removed: [],
+    siteData: [],
+    error: null
+  };
+
+  try {
+    let result;
+    switch (rule.action.type) {
+      case "deleteCookies":
+        result = await deleteCookiesMatching(config.domain, cookie => rule.action.names.includes(cookie.name), storeId);
+        entry.removed = result.deleted;
+        break;
+
+      case "keepOnly":
+        result = await deleteCookiesExcept(getResetDomain(config), rule.action.names, storeId);
+        entry.removed = result.deleted;
+        break;
+
+      case "deleteAll":
+        result = await deleteCookiesMatching(getResetDomain(config), () => true, storeId);
+        entry.removed = result.deleted;
+        break;
+
+      case "clearSiteData":
+        result = await clearSiteData(new URL(config.url).origin, { storeId });
+        entry.siteData = result.cleared;
+        if (result.failed.length > 0) {
+          result.error = result.failed.map(failure => `${failure.type}: ${failure.error}`).join("; ");
+        }
+        break;
+    }
+    if (!result.success) entry.error = result.error;
+  } catch (error) {
+    entry.error = error.message;
+  }
+
+  console.log(`[Cleanup] Rule "${rule.name}" (${reason}) removed ${entry.removed.length} cookies`, entry);
+  await appendCleanupLog(entry);
+  return entry;
+}
+
+/**
+ * Run a stored rule by id, whether or not it's enabled
+ * @param {string} ruleId
+ * @returns {Promise<{success: boolean, entry?: object, error?: string}>}
+ */
+async function runCleanupRuleNow(ruleId) {
+  const rule = (await getCleanupRules()).find(candidate => candidate.id === ruleId);
+  if (!rule) {
+    return { success: false, error: "Rule not found" };
+  }
+  const entry = await runCleanupRule(rule, "manual");
+  return { success: !entry.error, entry, error: entry.error || undefined };
+}
+
+Platform.api.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(CLEANUP_ALARM_PREFIX)) return;
+
+  const ruleId = alarm.name.substring(CLEANUP_ALARM_PREFIX.length);
+  const rule = (await getCleanupRules()).find(candidate => candidate.id === ruleId);
+  if (rule && rule.enabled) {
+    await runCleanupRule(rule, "schedule");
+  }
+});
+
+/**
+ * Platform (PLATFORM_COOKIES key) a URL belongs to
+ * @param {string} [url]
+ * @returns {string|null}
+ */
+function platformOfUrl(url) {
+  try {
+    const hostname = new URL(url).hostname.replace(/^www\./, "");
+    return PLATFORM_COOKIES[hostname] ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fire "last tab closed" rules for platforms that had tabs in a cookie store
+ * and have none left there. Which platforms had tabs, per store, is kept in
+ * storage so it survives background restarts
+ * @param {object} closing - Tabs being closed (may still be listed while they close)
+ * @param {number} [closing.tabId] - Tab being closed
+ * @param {number} [closing.windowId] - Window whose tabs are all closing
+ * @param {boolean} seedOnly - Only record which platforms have tabs
+ */
+async function runLastTabClosedCheck(closing, seedOnly) {
+  const rules = (await getCleanupRules())
+    .filter(rule => rule.enabled && rule.trigger.type === "lastTabClosed");
+  if (rules.length === 0) return;
+
+  const stored = await Platform.api.storage.local.get(CLEANUP_OPEN_PLATFORMS_KEY);
+  // Lists stored before stores were tracked hold plain platform names
+  const wasOpen = (stored[CLEANUP_OPEN_PLATFORMS_KEY] || [])
+    .map(entry => typeof entry === "string" ? { platform: entry, storeId: null } : entry);
+  const tabs = (await Platform.api.tabs.query({}))
+    .filter(tab => tab.id !== closing.tabId && tab.windowId !== closing.windowId);
+  const stores = Platform.cookies.containers ? null : await Platform.api.cookies.getAllCookieStores();
+
+  const open = [];
+  for (const tab of tabs) {
+    const platform = platformOfUrl(tab.url);
+    if (!platform) continue;
+    const storeId = (await getTabStoreId(tab, stores)) || null;
+    if (!open.some(entry => entry.platform === platform && entry.storeId === storeId)) {
+      open.push({ platform, storeId });
+    }
+  }
+
+  await Platform.api.storage.local.set({ [CLEANUP_OPEN_PLATFORMS_KEY]: open });
+  if (seedOnly) return;
+
+  const closed = wasOpen.filter(entry =>
+    !open.some(candidate => candidate.platform === entry.platform && candidate.storeId === entry.storeId));
+  for (const entry of closed) {
+    for (const rule of rules) {
+      if (rule.platform !== entry.platform) continue;
+      if (rule.storeId && rule.storeId !== entry.storeId) continue;
+      await runCleanupRule(rule, "lastTabClosed", entry.storeId || undefined);
+    }
+  }
+}
+
+let lastTabCheck = Promise.resolve();
+
+/**
+ * Run a "last tab closed" check after the one in progress, if any
+ * (two at once would both read the old platform list and fire a rule twice)
+ * @param {object} [closing] - See runLastTabClosedCheck()
+ * @param {boolean} [seedOnly=false] - Only record which platforms have tabs, used when rules
+ *   are saved and when a tab navigates
+ * @returns {Promise<void>}
+ */
+function checkLastTabClosedRules(closing = {}, seedOnly = false) {
+  lastTabCheck = lastTabCheck
+    .then(() => runLastTabClosedCheck(closing, seedOnly))
+    .catch(error => console.error("[Cleanup] Tab check failed:", error));
+  return lastTabCheck;
+}
+
+Platform.api.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  checkLastTabClosedRules({
+    tabId,
+    windowId: removeInfo.isWindowClosing ? removeInfo.windowId : undefined
+  });
+});
+
+// Navigating away isn't closing: only note which platforms have tabs now
+Platform.api.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  checkLastTabClosedRules({}, true);
+});
+
+// ============================================================================
+// Allowlist Reset - Clear everything except the cookies a login needs
+// ============================================================================
+
+const ALLOWLIST_STORAGE_KEY = "cookieAllowlists";
+
+/**
+ * Cookie names kept by an allowlist reset: the user's list for the platform,
+ * or the platform's keepCookies
+ * @param {string} hostname - Platform hostname
+ * @returns {Promise<{success: boolean, names: string[], isDefault: boolean, error?: string}>}
+ */
+async function getCookieAllowlist(hostname) {
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, names: [], isDefault: true, error: "Unknown platform" };
+  }
+
+  const stored = await Platform.api.storage.local.get(ALLOWLIST_STORAGE_KEY);
+  const custom = (stored[ALLOWLIST_STORAGE_KEY] || {})[config.url];
+  return custom
+    ? { success: true, names: custom, isDefault: false }
+    : { success: true, names: config.keepCookies, isDefault: true };
+}
+
+/**
+ * Replace a platform's allowlist; an empty list restores the default
+ * @param {string} hostname - Platform hostname
+ * @param {string[]} names - Cookie names to keep
+ * @returns {Promise<{success: boolean, names: string[], isDefault: boolean, error?: string}>}
+ */
+async function setCookieAllowlist(hostname, names) {
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, names: [], isDefault: true, error: "Unknown platform" };
+  }
+
+  const stored = await Platform.api.storage.local.get(ALLOWLIST_STORAGE_KEY);
+  const allowlists = stored[ALLOWLIST_STORAGE_KEY] || {};
+  const cleaned = [...new Set((names || []).map(name => name.trim()).filter(Boolean))];
+
+  if (cleaned.length > 0) {
+    allowlists[config.url] = cleaned;
+  } else {
+    delete allowlists[config.url];
+  }
+  await Platform.api.storage.local.set({ [ALLOWLIST_STORAGE_KEY]: allowlists });
+  return getCookieAllowlist(hostname);
+}
+
+/**
+ * Delete every cookie of a platform except its allowlist
+ * Google platforms only reset their own host (see getResetDomain()), so
+ * other Google services stay signed in
+ * @param {string} hostname - Platform hostname
+ * @param {string} [storeId] - Cookie store (container) to reset
+ * @param {boolean} [dryRun=false] - Only report what would be deleted
+ * @returns {Promise<{success: boolean, dryRun: boolean, deleted: string[], kept: string[], domains: string[], allowlist: string[], error?: string}>}
+ */
+async function resetCookiesExcept(hostname, storeId, dryRun = false) {
+  const allowlist = await getCookieAllowlist(hostname);
+  if (!allowlist.success) {
+    return { success: false, dryRun, deleted: [], kept: [], domains: [], allowlist: [], error: allowlist.error };
+  }
+
+  const config = getPlatformConfig(hostname);
+  const result = await deleteCookiesMatching(
+    getResetDomain(config),
+    cookie => !allowlist.names.includes(cookie.name),
+    storeId,
+    dryRun
+  );
+  return { ...result, dryRun, allowlist: allowlist.names };
+}
+
+// ============================================================================
+// Cookie History - Record cookie changes on the platforms' domains
+// ============================================================================
+
+const COOKIE_HISTORY_KEY = "cookieHistory";
+const COOKIE_HISTORY_LIMIT = 200;
+const COOKIE_HISTORY_FLUSH_DELAY = 1000;
+
+// cookies.onChanged cause -> history event type (overwrites are detected separately)
+const COOKIE_CHANGE_TYPES = {
+  explicit: "deleted",
+  expired: "expired",
+  expired_overwrite: "expired",
+  evicted: "evicted"
+};
+
+let pendingHistory = [];
+let historyFlushTimer = null;
+let historyQueue = Promise.resolve();
+const overwrittenCookies = new Set();
+
+/**
+ * Platform configuration whose domain a cookie belongs to
+ * @param {object} cookie
+ * @returns {object|null}
+ */
+function platformOfCookie(cookie) {
+  const domain = cookie.domain.replace(/^\./, "");
+  return Object.values(PLATFORM_COOKIES).find(config =>
+    domain === config.domain || domain.endsWith(`.${config.domain}`)
+  ) || null;
+}
+
+/**
+ * Read-modify-write the stored history, one update at a time
+ * @param {function(object): void} update - Changes the history in place
+ * @returns {Promise<void>}
+ */
+function updateCookieHistory(update) {
+  historyQueue = historyQueue.then(async () => {
+    const stored = await Platform.api.storage.local.get(COOKIE_HISTORY_KEY);
+    const history = stored[COOKIE_HISTORY_KEY] || {};
+    update(history);
+    await Platform.api.storage.local.set({ [COOKIE_HISTORY_KEY]: history });
+  }).catch(error => console.error("[CookieHistory] Write failed:", error));
+  return historyQueue;
+}
+
+/**
+ * Write buffered events to storage, newest first, COOKIE_HISTORY_LIMIT per domain
+ * Google rotates some cookies on every request, so events are written in batches
+ * @returns {Promise<void>}
+ */
+function flushCookieHistory() {
+  clearTimeout(historyFlushTimer);
+  historyFlushTimer = null;
+
+  const events = pendingHistory;
+  pendingHistory = [];
+  if (events.length === 0) return historyQueue;
+
+  return updateCookieHistory(history => {
+    for (const { domain, event } of events) {
+      history[domain] = [event, ...(history[domain] || [])].slice(0, COOKIE_HISTORY_LIMIT);
+    }
+  });
+}
+
+/**
+ * Turn a cookies.onChanged notification into a history event
+ * Overwriting a cookie fires a removal (cause "overwrite") then a set; the pair
+ * is recorded as one "overwrite" event. Values are never stored
+ * @param {{removed: boolean, cookie: object, cause: string}} changeInfo
+ */
+function recordCookieChange({ removed, cookie, cause }) {
+  const config = platformOfCookie(cookie);
+  if (!config) return;
+
+  const key = `${cookie.storeId}|${cookie.domain}|${cookie.path}|${cookie.name}`;
+  if (removed && cause === "overwrite") {
+    overwrittenCookies.add(key);
+    return;
+  }
+
+  let type;
+  if (!removed) {
+    type = overwrittenCookies.delete(key) ? "overwrite" : "set";
+  } else {
+    type = COOKIE_CHANGE_TYPES[cause] || cause;
+  }
+
+  pendingHistory.push({
+    domain: config.domain,
+    event: {
+      at: Date.now(),
+      type,
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      storeId: cookie.storeId,
+      sessionCookie: config.sessionCookies.includes(cookie.name),
+      expirationDate: cookie.session ? null : cookie.expirationDate
+    }
+  });
+
+  if (!historyFlushTimer) {
+    historyFlushTimer = setTimeout(flushCookieHistory, COOKIE_HISTORY_FLUSH_DELAY);
+  }
+}
+
+/**
+ * Recorded cookie changes of a platform, newest first
+ * @param {string} hostname - Platform hostname
+ * @returns {Promise<{success: boolean, events: object[], error?: string}>}
+ */
+async function getCookieHistory(hostname) {
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, events: [], error: "Unknown platform" };
+  }
+
+  await flushCookieHistory();
+  const stored = await Platform.api.storage.local.get(COOKIE_HISTORY_KEY);
+  return { success: true, events: (stored[COOKIE_HISTORY_KEY] || {})[config.domain] || [] };
+}
+
+/**
+ * Forget the recorded changes of a platform's domain
+ * @param {string} hostname - Platform hostname
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function clearCookieHistory(hostname) {
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, error: "Unknown platform" };
+  }
+
+  await flushCookieHistory();
+  await updateCookieHistory(history => {
+    delete history[config.domain];
+  });
+  return { success: true };
+}
+
+Platform.api.cookies.onChanged.addListener(recordCookieChange);
+
+// ============================================================================
+// Session Expiry - Warn before a platform login expires or when it's gone
+// ============================================================================
+
+const SESSION_WARNING_SETTINGS_KEY = "sessionWarningSettings";
+const SESSION_WARNING_STATE_KEY = "sessionWarningState";
+const SESSION_CHECK_ALARM = "session-expiry-check";
+const SESSION_CHECK_PERIOD = 30; // minutes
+// A login swap (switchAccount) deletes then restores the session cookie
+const SESSION_CHANGE_DELAY = 5000;
+const DEFAULT_SESSION_WARNING_SETTINGS = { enabled: true, windowHours: 24 };
+const SESSION_BADGE_TITLE = "AI Thinking Mode";
+
+let sessionCheckTimer = null;
+
+async function getSessionWarningSettings() {
+  const stored = await Platform.api.storage.local.get(SESSION_WARNING_SETTINGS_KEY);
+  return { ...DEFAULT_SESSION_WARNING_SETTINGS, ...stored[SESSION_WARNING_SETTINGS_KEY] };
+}
+
+/**
+ * Store warning settings and re-check every platform with them
+ * @param {{enabled?: boolean, windowHours?: number}} settings
+ * @returns {Promise<{success: boolean, settings: object}>}
+ */
+async function setSessionWarningSettings(settings) {
+  const current = await getSessionWarningSettings();
+  const updated = {
+    enabled: settings.enabled !== undefined ? !!settings.enabled : current.enabled,
+    windowHours: Math.max(1, Number(settings.windowHours) || current.windowHours)
+  };
+  await Platform.api.storage.local.set({ [SESSION_WARNING_SETTINGS_KEY]: updated });
+  await checkSessions();
+  return { success: true, settings: updated };
+}
+
+/**
+ * Login state of a platform from its login cookies (sessionCookies)
+ * A login made of several cookies expires with the first of them to expire
+ * @param {string} hostname - Platform hostname
+ * @param {string} [storeId] - Cookie store (container) to check
+ * @returns {Promise<{success: boolean, loggedIn: boolean, cookies: string[], expiresAt: number|null, error?: string}>}
+ */
+async function getSessionStatus(hostname, storeId) {
+  const config = getPlatformConfig(hostname);
+  if (!config) {
+    return { success: false, loggedIn: false, cookies: [], expiresAt: null, error: "Unknown platform" };
+  }
+
+  try {
+    const cookies = (await getAllCookies({ domain: config.domain, ...storeFilter(storeId) }))
+      .filter(cookie => config.sessionCookies.includes(cookie.name) && cookie.value);
+    const expiries = cookies
+      .filter(cookie => !cookie.session)
+      .map(cookie => cookie.expirationDate * 1000);
+
+    return {
+      success: true,
+      loggedIn: cookies.length > 0,
+      cookies: cookies.map(cookie => cookie.name),
+      // null: logged out, or only session cookies (they end with the browser)
+      expiresAt: expiries.length > 0 ? Math.min(...expiries) : null
+    };
+  } catch (error) {
+    console.error(`[Session] Error checking login for "${hostname}":`, error);
+    return { success: false, loggedIn: false, cookies: [], expiresAt: null, error: error.message };
+  }
+}
+
+function formatTimeLeft(ms) {
+  const hours = Math.max(0, ms) / 3600000;
+  return hours < 1 ? `${Math.round(hours * 60)} min` : hours < 48 ? `${Math.round(hours)} h` : `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Show one warning per platform as a browser notification
+ * @param {string} domain - Platform domain (notification id)
+ * @param {string} message
+ */
+function notifySession(domain, message) {
+  Platform.api.notifications.create(`session:${domain}`, {
+    type: "basic",
+    iconUrl: Platform.api.runtime.getURL("icons/icon-48.png"),
+    title: "AI Thinking Mode",
+    message
+  });
+}
+
+/**
+ * Global badge: red "!" when a login was invalidated, orange when one expires soon
+ * @param {object} state - Warning state keyed by domain
+ */
+function updateSessionBadge(state) {
+  const warnings = Object.entries(state).filter(([, entry]) => entry.warning);
+  const loggedOut = warnings.some(([, entry]) => entry.warning === "loggedOut");
+
+  Platform.action.setBadgeText({ text: warnings.length > 0 ? "!" : "" });
+  Platform.action.setBadgeBackgroundColor({ color: loggedOut ? "#e74c3c" : "#f39c12" });
+  Platform.action.setTitle({
+    title: [SESSION_BADGE_TITLE, ...warnings.map(([domain, entry]) => `${domain}: ${entry.message}`)].join("\n")
+  });
+}
+
+/**
+ * Check every platform's login in the default store, notify once per new
+ * warning and update the badge
+ */
+async function checkSessions() {
+  const settings = await getSessionWarningSettings();
+  const stored = await Platform.api.storage.local.get(SESSION_WARNING_STATE_KEY);
+  const previous = stored[SESSION_WARNING_STATE_KEY] || {};
+  const state = {};
+  const now = Date.now();
+
+  // Platforms sharing a domain (Gemini and AI Studio) share a login
+  const configs = [...new Map(Object.values(PLATFORM_COOKIES).map(config => [config.domain, config])).values()];
+
+  for (const config of configs) {
+    const status = await getSessionStatus(new URL(config.url).hostname);
+    if (!status.success) continue;
+
+    const before = previous[config.domain] || {};
+    const entry = { loggedIn: status.loggedIn, expiresAt: status.expiresAt, warning: null, message: null };
+
+    if (status.loggedIn && status.expiresAt && status.expiresAt - now < settings.windowHours * 3600000) {
+      entry.warning = "expiring";
+      entry.message = `Login expires in ${formatTimeLeft(status.expiresAt - now)}`;
+    } else if (!status.loggedIn && (before.loggedIn || before.warning === "loggedOut")) {
+      entry.warning = "loggedOut";
+      entry.message = "Logged out: the login cookie is gone";
+    }
+
+    const isNew = entry.warning && (entry.warning !== before.warning ||
+      (entry.warning === "expiring" && entry.expiresAt !== before.expiresAt));
+    if (settings.enabled && isNew) {
+      notifySession(config.domain, `${config.domain}: ${entry.message}`);
+    }
+    state[config.domain] = entry;
+  }
+
+  await Platform.api.storage.local.set({ [SESSION_WARNING_STATE_KEY]: state });
+  updateSessionBadge(settings.enabled ? state : {});
+}
+
+/**
+ * Re-check logins shortly after a login cookie changes
+ * @param {{removed: boolean, cookie: object, cause: string}} changeInfo
+ */
+function onSessionCookieChanged({ removed, cookie, cause }) {
+  const config = platformOfCookie(cookie);
+  if (!config || !config.sessionCookies.includes(cookie.name)) return;
+  if (removed && cause === "overwrite") return;
+
+  clearTimeout(sessionCheckTimer);
+  sessionCheckTimer = setTimeout(() => {
+    checkSessions().catch(error => console.error("[Session] Check failed:", error));
+  }, SESSION_CHANGE_DELAY);
+}
+
+/**
+ * Create the periodic session check alarm unless it already exists
+ * @param {boolean} [reschedule=false] - Recreate it anyway (install, browser startup)
+ */
+async function scheduleSessionChecks(reschedule = false) {
+  if (!reschedule && await Platform.api.alarms.get(SESSION_CHECK_ALARM)) return;
+  Platform.api.alarms.create(SESSION_CHECK_ALARM, { delayInMinutes: 1, periodInMinutes: SESSION_CHECK_PERIOD });
+}
+
+Platform.api.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SESSION_CHECK_ALARM) {
+    checkSessions().catch(error => console.error("[Session] Check failed:", error));
+  }
+});
+
+Platform.api.cookies.onChanged.addListener(onSessionCookieChanged);
+
+// ============================================================================
+// Site Storage Inspector - Web Storage and IndexedDB of a tab's page
+// ============================================================================
+
+const SITE_STORAGE_TYPES = ["localStorage", "sessionStorage", "indexedDB"];
+
+/**
+ * Read a tab's localStorage, sessionStorage and IndexedDB databases by
+ * running inspectPageStorage() (script-injector.js) in its page
+ * @param {number} tabId
+ * @returns {Promise<{success: boolean, storage?: object, error?: string}>}
+ */
+async function inspectSiteStorage(tabId) {
+  if (tabId === undefined) {
+    return { success: false, error: "No tab to inspect" };
+  }
+
+  try {
+    const storage = await Platform.scripts.run(tabId, inspectPageStorage);
+    return { success: true, storage };
+  } catch (error) {
+    console.error("[SiteStorage] Error inspecting tab", tabId, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete one localStorage/sessionStorage key or IndexedDB database of a tab's page
+ * @param {number} tabId
+ * @param {string} type - One of SITE_STORAGE_TYPES
+ * @param {string} name - Key or database name
+ * @returns {Promise<{success: boolean, blocked?: boolean, error?: string}>}
+ */
+async function deleteSiteStorageItem(tabId, type, name) {
+  if (tabId === undefined) {
+    return { success: false, error: "No tab to delete from" };
+  }
+  if (!SITE_STORAGE_TYPES.includes(type)) {
+    return { success: false, error: `Unknown storage type "${type}"` };
+  }
+
+  try {
+    const result = await Platform.scripts.run(tabId, deletePageStorageItem, [type, name]);
+    if (result.success) {
+      console.log(`[SiteStorage] Deleted ${type} "${name}" in tab ${tabId}`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`[SiteStorage] Error deleting ${type} "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// Tab Manager - All windows' tabs grouped by AI platform (menu and popup)
+// ============================================================================
+
+const TAB_ACTIONS = {
+  switch: {
+    title: "Switch to",
+    run: async tab => {
+      await Platform.api.windows.update(tab.windowId, { focused: true });
+      await Platform.api.tabs.update(tab.id, { active: true });
+    }
+  },
+  duplicate: {
+    title: "Duplicate",
+    run: tab => Platform.api.tabs.duplicate(tab.id)
+  },
+  newWindow: {
+    title: "Move to New Window",
+    run: tab => Platform.api.windows.create({ tabId: tab.id })
+  },
+  close: {
+    title: "Close",
+    run: tab => Platform.api.tabs.remove(tab.id)
+  }
+};
+
+/**
+ * Platform (SEND_TARGETS key) a tab's URL belongs to
+ * @param {string} [url]
+ * @returns {string|null}
+ */
+function platformOfTab(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    const match = Object.entries(SEND_TARGETS)
+      .find(([, target]) => target.matches.includes(`*://${hostname}/*`));
+    return match ? match[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every window's tabs, one group per AI platform in SEND_TARGETS order, then
+ * the other tabs. Windows are numbered in the order their first tab is listed
+ * @returns {Promise<{success: boolean, groups: object[], windows: number, error?: string}>}
+ */
+async function listTabGroups() {
+  try {
+    const tabs = await Platform.api.tabs.query({});
+    const windowNumbers = new Map();
+    const groups = new Map([
+      ...Object.entries(SEND_TARGETS).map(([hostname, target]) => [hostname, { platform: hostname, title: target.title, tabs: [] }]),
+      [null, { platform: null, title: "Other tabs", tabs: [] }]
+    ]);
+
+    for (const tab of tabs) {
+      if (!windowNumbers.has(tab.windowId)) {
+        windowNumbers.set(tab.windowId, windowNumbers.size + 1);
+      }
+      groups.get(platformOfTab(tab.url)).tabs.push({
+        id: tab.id,
+        windowId: tab.windowId,
+        window: windowNumbers.get(tab.windowId),
+        title: tab.title || tab.url || "Untitled",
+        url: tab.url,
+        active: tab.active,
+        pinned: tab.pinned,
+        incognito: tab.incognito
+      });
+    }
+
+    return {
+      success: true,
+      groups: [...groups.values()].filter(group => group.tabs.length > 0),
+      windows: windowNumbers.size
+    };
+  } catch (error) {
+    console.error("[TabManager] Error listing tabs:", error);
+    return { success: false, groups: [], windows: 0, error: error.message };
+  }
+}
+
+/**
+ * Switch to, duplicate, move to a new window or close a tab
+ * @param {number} tabId
+ * @param {string} action - Key of TAB_ACTIONS
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function runTabAction(tabId, action) {
+  if (!TAB_ACTIONS[action]) {
+    return { success: false, error: `Unknown tab action "${action}"` };
+  }
+
+  try {
+    const tab = await Platform.api.tabs.get(tabId);
+    await TAB_ACTIONS[action].run(tab);
+    console.log(`[TabManager] ${TAB_ACTIONS[action].title} tab ${tabId}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`[TabManager] Error running "${action}" on tab ${tabId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+function tabMenuTitle(tab, windows) {
+  const prefix = `${tab.active ? "● " : ""}${windows > 1 ? `W${tab.window} · ` : ""}`;
+  const title = tab.title.length > 50 ? `${tab.title.substring(0, 50)}...` : tab.title;
+  return `${prefix}${title}`;
+}
+
+// What the "Tabs" menu shows now: which tabs are in which group, and their titles
+let tabMenuState = null;
+
+/**
+ * Build the "Tabs" menu: one submenu per platform, one per tab, with the
+ * TAB_ACTIONS, then new tab and reload actions for the current tab, then
+ * the saved workspaces
+ * When only tab titles changed, those entries are retitled instead of
+ * rebuilding the whole menu
+ */
+async function buildTabMenu() {
+  const contexts = Platform.tabMenuContexts;
+  const { groups, windows } = await listTabGroups();
+  const workspaces = Object.keys(await getStoredWorkspaces()).sort();
+  const titles = new Map(groups.flatMap(group => group.tabs.map(tab => [tab.id, tabMenuTitle(tab, windows)])));
+  const structure = JSON.stringify([
+    groups.map(group => [group.platform, group.tabs.map(tab => tab.id)]),
+    workspaces
+  ]);
+
+  if (tabMenuState && tabMenuState.structure === structure) {
+    const changed = [...titles].filter(([tabId, title]) => tabMenuState.titles.get(tabId) !== title);
+    try {
+      for (const [tabId, title] of changed) {
+        await Platform.menus.update(`tab:${tabId}`, { title });
+      }
+      tabMenuState.titles = titles;
+      return;
+    } catch (error) {
+      // An entry went missing, rebuild below
+    }
+  }
+  tabMenuState = null;
+
+  // Removing the parent removes every item under it
+  try { await Platform.menus.remove("tab-manager"); } catch (e) { /* ignore if not exists */ }
+
+  Platform.menus.create({ id: "tab-manager", title: "Tabs", contexts });
+
+  for (const group of groups) {
+    const groupId = `tab-group:${group.platform || "other"}`;
+    Platform.menus.create({
+      id: groupId,
+      parentId: "tab-manager",
+      title: `${group.title} (${group.tabs.length})`,
+      contexts
+    });
+
+    for (const tab of group.tabs) {
+      Platform.menus.create({
+        id: `tab:${tab.id}`,
+        parentId: groupId,
+        title: tabMenuTitle(tab, windows),
+        contexts
+      });
+      for (const [action, { title }] of Object.entries(TAB_ACTIONS)) {
+        Platform.menus.create({
+          id: `tab-action:${action}:${tab.id}`,
+          parentId: `tab:${tab.id}`,
+          title,
+          contexts
+        });
+      }
+    }
+  }
+
+  Platform.menus.create({ id: "tab-sep", parentId: "tab-manager", type: "separator", contexts });
+  Platform.menus.create({ id: "tab-new", parentId: "tab-manager", title: "+ New Tab", contexts });
+  Platform.menus.create({ id: "tab-reload", parentId: "tab-manager", title: "Reload Current Tab", contexts });
+  Platform.menus.create({ id: "tab-hard-reload", parentId: "tab-manager", title: "Hard Reload Current Tab (Clear Cache)", contexts });
+
+  if (workspaces.length > 0) {
+    Platform.menus.create({ id: "workspace-sep", parentId: "tab-manager", type: "separator", contexts });
+    Platform.menus.create({ id: "workspaces", parentId: "tab-manager", title: "Open Workspace", contexts });
+    for (const name of workspaces) {
+      Platform.menus.create({ id: `workspace:${name}`, parentId: "workspaces", title: name, contexts });
+    }
+  }
+
+  tabMenuState = { structure, titles };
+  console.log(`[TabManager] Updated menu with ${groups.reduce((sum, group) => sum + group.tabs.length, 0)} tabs`);
+}
+
+let tabMenuTimer = null;
+let tabMenuUpdate = Promise.resolve();
+
+/**
+ * Rebuild the "Tabs" menu after the rebuild in progress, if any
+ * (two at once would create the same menu ids twice)
+ * @param {boolean} [rebuild=false] - Rebuild even if nothing changed (after menus.removeAll())
+ * @returns {Promise<void>}
+ */
+function updateTabMenu(rebuild = false) {
+  tabMenuUpdate = tabMenuUpdate
+    .then(() => {
+      if (rebuild) tabMenuState = null;
+      return buildTabMenu();
+    })
+    .catch(error => console.error("[TabManager] Menu update failed:", error));
+  return tabMenuUpdate;
+}
+
+/**
+ * Update the menu once tabs have stopped changing for a second
+ */
+function scheduleTabMenuUpdate() {
+  clearTimeout(tabMenuTimer);
+  tabMenuTimer = setTimeout(() => updateTabMenu(), 1000);
+}
+
+Platform.menus.onClicked.addListener(async (info, tab) => {
+  const id = String(info.menuItemId);
+
+  if (id.startsWith("tab-action:")) {
+    const [, action, tabId] = id.split(":");
+    await runTabAction(Number(tabId), action);
+  } else if (id.startsWith("workspace:")) {
+    await restoreWorkspace(id.slice("workspace:".length), tab ? tab.windowId : undefined);
+  } else if (id === "tab-new") {
+    await Platform.api.tabs.create({});
+    console.log("[TabManager] Created new tab");
+  } else if ((id === "tab-reload" || id === "tab-hard-reload") && tab && tab.id) {
+    await Platform.api.tabs.reload(tab.id, { bypassCache: id === "tab-hard-reload" });
+    console.log(`[TabManager] Reloaded tab ${tab.id}${id === "tab-hard-reload" ? " (bypassing cache)" : ""}`);
+  }
+});
+
+Platform.api.tabs.onCreated.addListener(scheduleTabMenuUpdate);
+Platform.api.tabs.onRemoved.addListener(scheduleTabMenuUpdate);
+Platform.api.tabs.onActivated.addListener(scheduleTabMenuUpdate);
+Platform.api.tabs.onAttached.addListener(scheduleTabMenuUpdate);
+Platform.api.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // Only title and URL changes show in the menu; buildTabMenu() skips the
+  // rebuild unless they moved a tab to another group
+  if (changeInfo.title || changeInfo.url) {
+    scheduleTabMenuUpdate();
+  }
+});
+
+// ============================================================================
+// Workspaces - Save and restore a window's set of AI platform tabs
+// ============================================================================
+
+const WORKSPACE_STORAGE_KEY = "tabWorkspaces";
+
+async function getStoredWorkspaces() {
+  const stored = await Platform.api.storage.local.get(WORKSPACE_STORAGE_KEY);
+  return stored[WORKSPACE_STORAGE_KEY] || {};
+}
+
+async function setStoredWorkspaces(workspaces) {
+  await Platform.api.storage.local.set({ [WORKSPACE_STORAGE_KEY]: workspaces });
+}
+
+/**
+ * Window a workspace is saved from or restored into
+ * @param {number} [windowId] - e.g. the popup's window; defaults to the last focused one
+ * @returns {Promise<number>}
+ */
+async function resolveWorkspaceWindow(windowId) {
+  if (windowId !== undefined) return windowId;
+  const focused = await Platform.api.windows.getLastFocused();
+  return focused.id;
+}
+
+/**
+ * Summary of a workspace without its tab list
+ * @param {object} workspace
+ * @returns {object}
+ */
+function describeWorkspace(workspace) {
+  return {
+    name: workspace.name,
+    createdAt: workspace.createdAt,
+    tabCount: workspace.tabs.length,
+    platforms: [...new Set(workspace.tabs.map(tab => tab.platform))]
+  };
+}
+
+/**
+ * Save the AI platform tabs of a window, in order, as a named workspace
+ * Keeps each tab's URL and pinned state, and its tab group where the browser has them
+ * @param {string} name
+ * @param {number} [windowId]
+ * @returns {Promise<{success: boolean, workspace?: object, error?: string}>}
+ */
+async function saveWorkspace(name, windowId) {
+  try {
+    if (!name || !name.trim()) {
+      return { success: false, error: "Workspace name is required" };
+    }
+
+    const targetWindow = await resolveWorkspaceWindow(windowId);
+    const tabs = (await Platform.api.tabs.query({ windowId: targetWindow }))
+      .filter(tab => platformOfTab(tab.url))
+      .sort((a, b) => a.index - b.index);
+    if (tabs.length === 0) {
+      return { success: false, error: "No AI platform tabs in this window" };
+    }
+
+    const groups = {};
+    if (Platform.tabGroups) {
+      for (const groupId of new Set(tabs.map(tab => tab.groupId).filter(id => id !== undefined && id !== -1))) {
+        const { title, color, collapsed } = await Platform.api.tabGroups.get(groupId);
+        groups[groupId] = { title, color, collapsed };
+      }
+    }
+
+    const workspace = {
+      name: name.trim(),
+      createdAt: Date.now(),
+      tabs: tabs.map(tab => ({
+        url: tab.url,
+        platform: platformOfTab(tab.url),
+        pinned: tab.pinned,
+        group: groups[tab.groupId] || null
+      }))
+    };
+
+    const workspaces = await getStoredWorkspaces();
+    workspaces[workspace.name] = workspace;
+    await setStoredWorkspaces(workspaces);
+
+    console.log(`[Workspace] Saved "${workspace.name}" with ${workspace.tabs.length} tabs`);
+    return { success: true, workspace: describeWorkspace(workspace) };
+  } catch (error) {
+    console.error(`[Workspace] Error saving "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List saved workspaces, newest first
+ * @returns {Promise<{success: boolean, workspaces: object[], error?: string}>}
+ */
+async function listWorkspaces() {
+  try {
+    const workspaces = Object.values(await getStoredWorkspaces())
+      .map(describeWorkspace)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { success: true, workspaces };
+  } catch (error) {
+    console.error("[Workspace] Error listing workspaces:", error);
+    return { success: false, workspaces: [], error: error.message };
+  }
+}
+
+/**
+ * Bring a workspace's tabs into a window, in their saved order
+ * A tab already open at the same URL (in any window) is moved over instead of
+ * opened twice. New tabs load normally, so each platform's handler runs its
+ * feature automation on them as on any page load
+ * @param {string} name
+ * @param {number} [windowId]
+ * @returns {Promise<{success: boolean, opened: number, reused: number, failed: object[], error?: string}>}
+ */
+async function restoreWorkspace(name, windowId) {
+  const opened = [];
+  const reused = [];
+  const failed = [];
+
+  try {
+    const workspace = (await getStoredWorkspaces())[name];
+    if (!workspace) {
+      return { success: false, opened: 0, reused: 0, failed, error: "Workspace not found" };
+    }
+
+    const targetWindow = await resolveWorkspaceWindow(windowId);
+    const openTabs = await Platform.api.tabs.query({});
+    const placed = [];
+
+    for (const saved of workspace.tabs) {
+      const existing = openTabs.find(tab => tab.url === saved.url && !placed.some(entry => entry.tab.id === tab.id));
+      try {
+        if (existing) {
+          reused.push(saved.url);
+          placed.push({ saved, tab: existing });
+          if (existing.pinned !== saved.pinned) {
+            await Platform.api.tabs.update(existing.id, { pinned: saved.pinned });
+          }
+        } else {
+          const tab = await Platform.api.tabs.create({
+            windowId: targetWindow,
+            url: saved.url,
+            pinned: saved.pinned,
+            active: false
+          });
+          opened.push(saved.url);
+          placed.push({ saved, tab });
+        }
+      } catch (error) {
+        failed.push({ url: saved.url, error: error.message });
+      }
+    }
+
+    if (placed.length === 0) {
+      return { success: false, opened: 0, reused: 0, failed, error: "No tab could be opened" };
+    }
+
+    // Pinned tabs can't move past unpinned ones, so they go first
+    const ordered = [
+      ...placed.filter(entry => entry.saved.pinned),
+      ...placed.filter(entry => !entry.saved.pinned)
+    ];
+    await Platform.api.tabs.move(ordered.map(entry => entry.tab.id), { windowId: targetWindow, index: -1 });
+
+    if (Platform.tabGroups) {
+      await restoreWorkspaceGroups(ordered, targetWindow);
+    }
+
+    await Platform.api.windows.update(targetWindow, { focused: true });
+    await Platform.api.tabs.update(ordered[0].tab.id, { active: true });
+
+    console.log(`[Workspace] Restored "${name}": ${opened.length} opened, ${reused.length} already open, ${failed.length} failed`);
+    return { success: failed.length === 0, opened: opened.length, reused: reused.length, failed };
+  } catch (error) {
+    console.error(`[Workspace] Error restoring "${name}":`, error);
+    return { success: false, opened: opened.length, reused: reused.length, failed, error: error.message };
+  }
+}
+
+/**
+ * Put restored tabs back into groups with their saved title, color and state
+ * Tabs saved in one group are grouped together again, in a new group
+ * @param {{saved: object, tab: object}[]} placed
+ * @param {number} windowId
+ */
+async function restoreWorkspaceGroups(placed, windowId) {
+  const groups = new Map();
+  for (const { saved, tab } of placed) {
+    if (!saved.group) continue;
+    const key = JSON.stringify(saved.group);
+    if (!groups.has(key)) groups.set(key, { group: saved.group, tabIds: [] });
+    groups.get(key).tabIds.push(tab.id);
+  }
+
+  for (const { group, tabIds } of groups.values()) {
+    try {
+      const groupId = await Platform.api.tabs.group({ tabIds, createProperties: { windowId } });
+      await Platform.api.tabGroups.update(groupId, group);
+    } catch (error) {
+      console.warn(`[Workspace] Could not recreate tab group "${group.title}":`, error);
+    }
+  }
+}
+
+/**
+ * Delete a saved workspace
+ * @param {string} name
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteWorkspace(name) {
+  try {
+    const workspaces = await getStoredWorkspaces();
+    if (!workspaces[name]) {
+      return { success: false, error: "Workspace not found" };
+    }
+    delete workspaces[name];
+    await setStoredWorkspaces(workspaces);
+    console.log(`[Workspace] Deleted "${name}"`);
+    return { success: true };
+  } catch (error) {
+    console.error(`[Workspace] Error deleting "${name}":`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Keep the menu's workspace list current
+Platform.api.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[WORKSPACE_STORAGE_KEY]) {
+    scheduleTabMenuUpdate();
+  }
+});
+
+// ============================================================================
+// Startup - Called by the entry points
+// ============================================================================
+
+/**
+ * Make sure the cleanup rule and session check alarms exist
+ * Firefox's event page calls this on every load, which keeps alarms that are
+ * already set; install and browser startup (both builds) recreate them all
+ * and check the sessions right away
+ * @param {boolean} [reschedule=false] - Recreate every alarm
+ */
+function startBackgroundSchedules(reschedule = false) {
+  scheduleCleanupRules(reschedule).catch(error => console.error("[Cleanup] Scheduling failed:", error));
+  scheduleSessionChecks(reschedule).catch(error => console.error("[Session] Scheduling failed:", error));
+  if (reschedule) {
+    checkSessions().catch(error => console.error("[Session] Check failed:", error));
+  }
+}
@@ -0,0 +1,66 @@
+// background-platform.js - What the background core needs to know about the browser it runs in
+// Loaded first by both entry points (background.js for Firefox MV2, chrome/background.js
+// for Chrome MV3), after script-injector.js. background-core.js only reaches the
+// browser through here, never through browser.* or chrome.* directly
+
+"use strict";
+
+const Platform = (() => {
+  // The Chrome service worker has no polyfill; Firefox has both, and only browser.* returns promises
+  const api = typeof browser !== "undefined" ? browser : chrome;
+  // runtime.getBrowserInfo() only exists in Firefox
+  const firefox = typeof api.runtime.getBrowserInfo === "function";
+
+  return {
+    api,
+
+    /**
+     * "firefox" (MV2 event page) or "chrome" (MV3 service worker)
+     */
+    name: firefox ? "firefox" : "chrome",
+
+    /**
+     * Context menus: menus (Firefox, with the Tools menu) or contextMenus (Chrome)
+     */
+    menus: api.menus || api.contextMenus,
+
+    /**
+     * Where the tab manager menu shows: Firefox's Tools menu (ALT → Tools) and
+     * the toolbar button's context menu, or only the latter in Chrome
+     */
+    tabMenuContexts: firefox ? ["tools_menu", "browser_action"] : ["action"],
+
+    /**
+     * Toolbar button: browserAction (MV2) or action (MV3)
+     */
+    action: api.action || api.browserAction,
+
+    /**
+     * Tab groups (Chrome): tabs carry a groupId, tabs.group() and the tabGroups API exist
+     */
+    tabGroups: !!(api.tabGroups && api.tabs.group),
+
+    /**
+     * Page-script injection: scripting (MV3) or tabs.executeScript (MV2)
+     */
+    scripts: ScriptInjector,
+
+    /**
+     * Cookie capabilities
+     */
+    cookies: {
+      // Firefox tabs carry their cookieStoreId (container or private). Elsewhere
+      // (Chrome incognito) the store is looked up with cookies.getAllCookieStores()
+      containers: firefox
+    },
+
+    /**
+     * browsingData capabilities
+     */
+    browsingData: {
+      // Chrome scopes every type with 'origins'; Firefox rejects it and only
+      // scopes some types with 'hostnames' (and cookieStoreId)
+      hostnames: firefox
+    }
+  };
+})();
@@ -23,7 +23,13 @@ cp "$SCRIPT_DIR/chrome/background.js" "$BUILD_DIR/"
 echo "Copying shared files..."
 cp "$SCRIPT_DIR/popup.html" "$BUILD_DIR/"
 cp "$SCRIPT_DIR/popup.js" "$BUILD_DIR/"
+cp "$SCRIPT_DIR/options.html" "$BUILD_DIR/"
+cp "$SCRIPT_DIR/options.js" "$BUILD_DIR/"
+cp "$SCRIPT_DIR/preferences.js" "$BUILD_DIR/"
 cp "$SCRIPT_DIR/cookie-manager.js" "$BUILD_DIR/"
+cp "$SCRIPT_DIR/script-injector.js" "$BUILD_DIR/"
+cp "$SCRIPT_DIR/background-platform.js" "$BUILD_DIR/"
+cp "$SCRIPT_DIR/background-core.js" "$BUILD_DIR/"
 cp "$SCRIPT_DIR/captcha-solver.js" "$BUILD_DIR/"
 cp "$SCRIPT_DIR/logic.js" "$BUILD_DIR/"
 cp "$SCRIPT_DIR/claude.js" "$BUILD_DIR/"
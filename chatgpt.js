@@ -2,10 +2,43 @@ class ChatGPTHandler extends AIPlatformHandler {
   constructor() {
     super({
       hostname: "chatgpt.com",
+      domains: ["chatgpt.com", "chat.openai.com"],
       storageKey: "chatgpt-canvas-enabled",
-      urlPatterns: [/chatgpt\.com\/?$/, "chatgpt.com/c/"],
+      urlPatterns: [
+        /chatgpt\.com\/?$/,
+        "chatgpt.com/c/",
+        /chat\.openai\.com\/?$/,
+        "chat.openai.com/c/",
+      ],
       defaultDelays: [500, 1000, 2000, 3000, 5000],
+      thinkingFeature: null,
     });
+    this.selectors = {
+      chatInput: '#prompt-textarea, .ProseMirror[contenteditable="true"]',
+      sendButton: '[data-testid="send-button"], button[aria-label="Send prompt"]',
+    };
+    this.features = [
+      {
+        id: "canvas",
+        label: "Canvas",
+        locate: ['[aria-label="Use a tool"]'],
+        probe: () => this.isCanvasAlreadyEnabled(),
+        when: (handler, target) => !target || this.isEditorEmpty(),
+        activate: (toolsButton) => this.pickTool(toolsButton, "Canvas"),
+        deactivate: () => this.removeTool("canvas"),
+        settleDelay: 300,
+      },
+    ];
+    this.modelPicker = {
+      locate: ['[data-testid="model-switcher-dropdown-button"]'],
+      options: '[role="menuitem"], [role="menuitemradio"]',
+      readActive: () => {
+        const switcher = document.querySelector(
+          '[data-testid="model-switcher-dropdown-button"]'
+        );
+        return switcher ? switcher.textContent.trim() : null;
+      },
+    };
   }
 
   isValidChatGPTPage() {
@@ -19,83 +52,56 @@ class ChatGPTHandler extends AIPlatformHandler {
     return mentionElements.length > 0;
   }
 
-  async enableFeatures() {
-    if (this.isCanvasAlreadyEnabled()) {
-      await this.setFeatureEnabled(true);
-      return true;
-    }
-
-    return await this.enableChatGPTCanvas();
+  isEditorEmpty() {
+    const proseMirrorEditor = document.querySelector(
+      '.ProseMirror[id="prompt-textarea"]'
+    );
+    return !!proseMirrorEditor && proseMirrorEditor.innerText.trim() === "";
   }
 
-  async enableChatGPTCanvas() {
-    try {
-      if (!this.isValidPage()) {
-        return false;
-      }
-
-      if (await this.getFeatureEnabled()) {
-        if (this.isCanvasAlreadyEnabled()) {
-          return true;
-        }
-      }
-
-      const proseMirrorEditor = document.querySelector(
-        '.ProseMirror[id="prompt-textarea"]'
-      );
-
-      if (!proseMirrorEditor) {
-        return false;
-      }
-
-      const isEditorEmpty = proseMirrorEditor.innerText.trim() === "";
-      if (!isEditorEmpty) {
-        return false;
-      }
-
-      const toolsButton = document.querySelector('[aria-label="Use a tool"]');
-      if (!toolsButton) {
-        return false;
-      }
-
-      simulateClick(toolsButton);
-      await waitFor(500);
+  async pickTool(toolsButton, toolName) {
+    simulateClick(toolsButton);
+    await waitFor(500);
 
-      const menuItems = Array.from(document.querySelectorAll("button"));
-      const canvasButton = menuItems.find((button) => {
-        const textContent = button.textContent || "";
-        return textContent.includes("Canvas");
-      });
+    const toolButton = locateElement([{ selector: "button", text: toolName }]);
 
-      if (!canvasButton) {
-        const outsideClick = document.querySelector("body");
-        if (outsideClick) {
-          simulateClick(outsideClick);
-        }
-        return false;
-      }
+    if (!toolButton) {
+      simulateClick(document.body);
+      return false;
+    }
 
-      simulateClick(canvasButton);
-      await waitFor(300);
+    simulateClick(toolButton);
+    return true;
+  }
 
-      if (this.isCanvasAlreadyEnabled()) {
-        await this.setFeatureEnabled(true);
-        return true;
-      }
+  async removeTool(toolId) {
+    const mention = document.querySelector(`[data-mention-id="${toolId}"]`);
+    if (!mention) return false;
+
+    const removeButton =
+      mention.querySelector("button") ||
+      locateElement([
+        {
+          selector: "button[aria-label]",
+          filter: (button) =>
+            button.getAttribute("aria-label").toLowerCase().includes(toolId) &&
+            button.getAttribute("aria-label").toLowerCase().includes("remove"),
+        },
+      ]);
+
+    if (removeButton) {
+      simulateClick(removeButton);
+      return true;
+    }
 
-      return false;
-    } catch (error) {
-      return false;
+    const editor = mention.closest(".ProseMirror");
+    mention.remove();
+    if (editor) {
+      editor.dispatchEvent(new Event("input", { bubbles: true }));
     }
+    return true;
   }
 }
 
 const chatGPTHandler = new ChatGPTHandler();
-handlers.push(chatGPTHandler);
-
-const isChatGPTWebsite =
-  window.location.hostname.includes("chatgpt.com") &&
-  chatGPTHandler.isValidPage();
-if (isChatGPTWebsite) {
-  chatGPTHandler.initialize();
-}
+registerPlatformHandler(chatGPTHandler);
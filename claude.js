@@ -9,8 +9,12 @@
 
 class ClaudeHandler extends AIPlatformHandler {
   constructor() {
-    super();
-    this.platform = "claude.ai";
+    super({
+      hostname: "claude.ai",
+      storageKey: "claude-thinking-enabled",
+      urlPatterns: ["claude.ai/new", "claude.ai/chat/", "claude.ai/project/"],
+      defaultDelays: [1000, 2000, 3000, 5000]
+    });
     this.selectors = {
       // Thinking mode toggle selectors (update as needed based on UI changes)
       thinkingModeToggle: '[data-testid="thinking-mode-toggle"]',
@@ -20,6 +24,10 @@ class ClaudeHandler extends AIPlatformHandler {
       
       // Feature toggles
       featureToggle: '[data-testid="feature-toggle"]',
+
+      // Model picker
+      modelSelector: '[data-testid="model-selector-dropdown"]',
+      modelOption: '[role="menuitem"], [role="menuitemradio"], [role="option"]',
       
       // Chat elements
       chatInput: '[data-testid="chat-input"]',
@@ -30,6 +38,32 @@ class ClaudeHandler extends AIPlatformHandler {
       closeModalButton: '[aria-label="Close"]'
     };
     
+    // Automatable features, executed by the feature engine in logic.js
+    this.features = [
+      {
+        id: "thinking",
+        label: "Thinking mode",
+        // Try different selector strategies
+        locate: [
+          this.selectors.thinkingModeToggle,
+          this.selectors.thinkingModeButton,
+          'button:has([class*="brain"])'
+        ],
+        probe: (element) => this.isThinkingModeEnabled(element),
+        settleDelay: 500
+      }
+    ];
+
+    // Model menu, driven by the model picker in logic.js
+    this.modelPicker = {
+      locate: [this.selectors.modelSelector, 'button[aria-haspopup="menu"][aria-label*="model" i]'],
+      options: this.selectors.modelOption,
+      readActive: () => {
+        const selector = document.querySelector(this.selectors.modelSelector);
+        return selector ? selector.textContent.trim() : null;
+      }
+    };
+
     // Cookies that may need to be cleared for reset
     this.resetCookies = [
       "sessionKey",
@@ -89,18 +123,6 @@ class ClaudeHandler extends AIPlatformHandler {
     return result.success;
   }
 
-  /**
-   * Check if user is logged in by checking for session cookie
-   */
-  async isLoggedIn() {
-    if (typeof CookieManager === "undefined") {
-      return null; // Unknown
-    }
-
-    const exists = await CookieManager.exists("sessionKey");
-    return exists;
-  }
-
   /**
    * Debug: List all cookies
    */
@@ -115,41 +137,16 @@ class ClaudeHandler extends AIPlatformHandler {
   // ============================================================================
 
   /**
-   * Enable thinking mode if available
+   * Check whether the thinking mode toggle is switched on
+   * @param {Element|null} element - The located thinking toggle
+   * @returns {boolean}
    */
-  async enableThinkingMode() {
-    console.log("[Claude] Attempting to enable thinking mode...");
-
-    // Try different selector strategies
-    const toggleSelectors = [
-      this.selectors.thinkingModeToggle,
-      this.selectors.thinkingModeButton,
-      '[class*="thinking"]',
-      'button:has([class*="brain"])'
-    ];
+  isThinkingModeEnabled(element) {
+    if (!element) return false;
 
-    for (const selector of toggleSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        // Check if already enabled
-        const isEnabled = element.getAttribute("aria-pressed") === "true" ||
-                         element.classList.contains("active") ||
-                         element.dataset.enabled === "true";
-        
-        if (!isEnabled) {
-          console.log(`[Claude] Found thinking toggle, clicking...`);
-          element.click();
-          await this.wait(500);
-          return true;
-        } else {
-          console.log("[Claude] Thinking mode already enabled");
-          return true;
-        }
-      }
-    }
-
-    console.log("[Claude] Thinking mode toggle not found");
-    return false;
+    return element.getAttribute("aria-pressed") === "true" ||
+           element.classList.contains("active") ||
+           element.dataset.enabled === "true";
   }
 
   /**
@@ -191,14 +188,11 @@ class ClaudeHandler extends AIPlatformHandler {
     // Wait for page to be fully loaded
     await this.waitForElement(this.selectors.chatInput, 5000);
 
-    // Enable thinking mode
-    await this.enableThinkingMode();
-
-    // Add any other feature toggles here
-    // await this.enableFeatureX();
-    // await this.enableFeatureY();
+    // Run the feature descriptors (add new toggles to this.features)
+    const done = await super.enableFeatures();
 
     console.log("[Claude] Feature automation complete");
+    return done;
   }
 
   /**
@@ -218,44 +212,6 @@ class ClaudeHandler extends AIPlatformHandler {
   // Utility Methods
   // ============================================================================
 
-  /**
-   * Wait for specified milliseconds
-   */
-  wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Wait for an element to appear in the DOM
-   */
-  waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        resolve(element);
-        return;
-      }
-
-      const observer = new MutationObserver((mutations, obs) => {
-        const el = document.querySelector(selector);
-        if (el) {
-          obs.disconnect();
-          resolve(el);
-        }
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      setTimeout(() => {
-        observer.disconnect();
-        resolve(null); // Resolve with null instead of rejecting
-      }, timeout);
-    });
-  }
-
   /**
    * Click an element safely
    */
@@ -277,30 +233,9 @@ class ClaudeHandler extends AIPlatformHandler {
 // Handler Registration
 // ============================================================================
 
-// Create and register the Claude handler
+// Create and register the Claude handler - logic.js starts it on Claude pages
 const claudeHandler = new ClaudeHandler();
-
-// Register with the logic.js handler system if available
-if (typeof registerPlatformHandler === "function") {
-  registerPlatformHandler("claude.ai", claudeHandler);
-}
-
-// Auto-run on page load if we're on Claude.ai
-if (window.location.hostname.includes("claude.ai")) {
-  console.log("[Claude] Claude.ai detected, initializing...");
-  
-  // Wait for DOM to be ready
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", () => {
-      claudeHandler.enableFeatures();
-    });
-  } else {
-    // Small delay to ensure all scripts are loaded
-    setTimeout(() => {
-      claudeHandler.enableFeatures();
-    }, 1000);
-  }
-}
+registerPlatformHandler(claudeHandler);
 
 // Export for testing/debugging
 window.ClaudeHandler = ClaudeHandler;
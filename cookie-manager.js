@@ -203,6 +203,147 @@ const CookieManager = {
     }
   },
 
+  /**
+   * Login state of the current platform from its login cookies
+   * @returns {Promise<{success: boolean, loggedIn: boolean, cookies: string[], expiresAt: number|null, error?: string}>}
+   */
+  async sessionStatus() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "getSessionStatus",
+        hostname: window.location.hostname
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error checking login:`, error);
+      return { success: false, loggedIn: false, cookies: [], expiresAt: null, error: error.message };
+    }
+  },
+
+  /**
+   * Save every cookie of the current platform under a name
+   * @param {string} name - Snapshot name
+   * @returns {Promise<{success: boolean, snapshot?: object, error?: string}>}
+   */
+  async saveSnapshot(name) {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "saveCookieSnapshot",
+        hostname: window.location.hostname,
+        name: name
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error saving snapshot "${name}":`, error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * List the snapshots saved for the current platform
+   * @returns {Promise<{success: boolean, snapshots: object[], error?: string}>}
+   */
+  async listSnapshots() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "listCookieSnapshots",
+        hostname: window.location.hostname
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error listing snapshots:`, error);
+      return { success: false, snapshots: [], error: error.message };
+    }
+  },
+
+  /**
+   * Recreate the cookies of a saved snapshot
+   * @param {string} name - Snapshot name
+   * @returns {Promise<{success: boolean, restored: number, expired: number, failed: object[], error?: string}>}
+   */
+  async restoreSnapshot(name) {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "restoreCookieSnapshot",
+        hostname: window.location.hostname,
+        name: name
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error restoring snapshot "${name}":`, error);
+      return { success: false, restored: 0, expired: 0, failed: [], error: error.message };
+    }
+  },
+
+  /**
+   * Delete a saved snapshot
+   * @param {string} name - Snapshot name
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async deleteSnapshot(name) {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "deleteCookieSnapshot",
+        hostname: window.location.hostname,
+        name: name
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error deleting snapshot "${name}":`, error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Export a domain's cookies
+   * @param {"json"|"netscape"} [format="json"] - JSON or Netscape cookies.txt
+   * @param {string} [domain] - Optional domain (defaults to current hostname)
+   * @returns {Promise<{success: boolean, format: string, count: number, data?: string, error?: string}>}
+   */
+  async export(format = "json", domain = window.location.hostname) {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: "exportCookies",
+        domain: domain,
+        format: format
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error exporting cookies:`, error);
+      return { success: false, format, count: 0, error: error.message };
+    }
+  },
+
+  /**
+   * Import a JSON or cookies.txt export
+   * Cookies that would replace a different value are skipped unless
+   * onConflict is "overwrite"
+   * @param {string} text - Exported cookies
+   * @param {"skip"|"overwrite"} [onConflict="skip"]
+   * @returns {Promise<{success: boolean, imported: number, unchanged: number, skipped: number, expired: number, failed: object[], error?: string}>}
+   */
+  async import(text, onConflict = "skip") {
+    try {
+      const preview = await browser.runtime.sendMessage({
+        action: "previewCookieImport",
+        text: text
+      });
+      if (!preview.success) {
+        return { success: false, imported: 0, unchanged: 0, skipped: 0, expired: 0, failed: [], error: preview.error };
+      }
+
+      const response = await browser.runtime.sendMessage({
+        action: "importCookies",
+        cookies: preview.entries.map(entry => entry.cookie),
+        onConflict: onConflict
+      });
+      return response;
+    } catch (error) {
+      console.error(`[CookieManager] Error importing cookies:`, error);
+      return { success: false, imported: 0, unchanged: 0, skipped: 0, expired: 0, failed: [], error: error.message };
+    }
+  },
+
   /**
    * Print all cookies to console (for debugging)
    * @param {string} [domain] - Optional domain (defaults to current hostname)
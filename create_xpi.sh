@@ -13,8 +13,12 @@ echo "🔧 Packaging ${EXTENSION_NAME} v${VERSION}..."
 FILES=(
     "manifest.json"
     "background.js"
+    "background-platform.js"
+    "background-core.js"
     "cookie-manager.js"
+    "script-injector.js"
     "captcha-solver.js"
+    "preferences.js"
     "logic.js"
     "claude.js"
     "grok.js"
@@ -24,6 +28,8 @@ FILES=(
     "googleaistudio.js"
     "popup.html"
     "popup.js"
+    "options.html"
+    "options.js"
 )
 
 # Create icons directory if it doesn't exist
@@ -78,8 +84,12 @@ echo "📦 Creating ${OUTPUT_FILE}..."
 zip -r "$OUTPUT_FILE" \
     manifest.json \
     background.js \
+    background-platform.js \
+    background-core.js \
     cookie-manager.js \
+    script-injector.js \
     captcha-solver.js \
+    preferences.js \
     logic.js \
     claude.js \
     grok.js \
@@ -89,6 +99,8 @@ zip -r "$OUTPUT_FILE" \
     googleaistudio.js \
     popup.html \
     popup.js \
+    options.html \
+    options.js \
     icons/ \
     -x "*.DS_Store" \
     -x "__MACOSX/*" \
@@ -5,54 +5,92 @@ class DeepSeekHandler extends AIPlatformHandler {
       storageKey: "deepseek-buttons-enabled",
       urlPatterns: ["chat.deepseek.com/", "chat.deepseek.com/a/chat"],
       defaultDelays: [500, 1000, 2000, 3000, 5000],
+      thinkingFeature: "deepthink",
     });
+    this.selectors = {
+      chatInput: "textarea#chat-input, textarea",
+      sendButton: 'div[role="button"]._7436101, div[role="button"][aria-disabled]',
+    };
+    this.features = [
+      {
+        id: "collapse-sidebar",
+        label: "Collapse sidebar",
+        locate: [
+          () => {
+            const sidebarToggle = document.querySelector(
+              '.ds-icon-button svg[viewBox="0 0 30 30"]'
+            );
+            return sidebarToggle && sidebarToggle.closest(".ds-icon-button");
+          },
+          "._7d1f5e2",
+        ],
+        probe: () => this.isDeepSeekSidebarCollapsed(),
+        reversible: false,
+        optional: true,
+      },
+      {
+        id: "deepthink",
+        label: "DeepThink",
+        locate: [{ selector: ".ds-button", text: "DeepThink" }],
+        probe: (button) => this.isDeepThinkAndSearchEnabled(button),
+      },
+      {
+        id: "search",
+        label: "Search",
+        locate: [{ selector: ".ds-button", text: "Search" }],
+        probe: (button) => this.isDeepThinkAndSearchEnabled(button),
+      },
+    ];
+    this.models = [
+      { name: "DeepSeek-V3", deepThink: false },
+      { name: "DeepSeek-R1 (DeepThink)", deepThink: true },
+    ];
+    this.modelPicker = {
+      readActive: () => {
+        const deepThinkButton = locateElement(
+          this.getFeature("deepthink").locate
+        );
+        if (!deepThinkButton) return null;
+        return this.isDeepThinkAndSearchEnabled(deepThinkButton)
+          ? "DeepSeek-R1 (DeepThink)"
+          : "DeepSeek-V3";
+      },
+      select: (candidate) => this.selectDeepSeekModel(candidate),
+    };
   }
   isValidDeepSeekPage() {
     return this.isValidPage();
   }
-  async enableFeatures() {
-    await this.collapseDeepSeekSidebar();
-    return await this.enableDeepSeekButtons();
-  }
-  async collapseDeepSeekSidebar() {
-    try {
-      const sidebarToggle = document.querySelector(
-        '.ds-icon-button svg[viewBox="0 0 30 30"]'
+  async applyModelPreference() {
+    const result = await super.applyModelPreference();
+    // The model is the DeepThink state, so the chosen model decides it
+    const model =
+      result &&
+      ["already-active", "selected"].includes(result.status) &&
+      this.models.find((entry) =>
+        ModelPreferences.matches(result.model, entry.name)
       );
-      if (sidebarToggle) {
-        const sidebarToggleButton = sidebarToggle.closest(".ds-icon-button");
-        if (sidebarToggleButton) {
-          const sidebar = document.querySelector(".b8812f16");
-          if (sidebar) {
-            simulateClick(sidebarToggleButton);
-            await waitFor(300);
-            return true;
-          }
-        }
-      }
-      const alternativeSidebarToggle = document.querySelector("._7d1f5e2");
-      if (alternativeSidebarToggle) {
-        const sidebar = document.querySelector(".b8812f16");
-        if (sidebar) {
-          simulateClick(alternativeSidebarToggle);
-          await waitFor(300);
-          return true;
-        }
-      }
-      const dropdownButtons = document.querySelectorAll(
-        'button[aria-expanded="true"]'
-      );
-      let collapsed = false;
-      for (const button of dropdownButtons) {
-        simulateClick(button);
-        await waitFor(100);
-        collapsed = true;
-      }
-      return collapsed;
-    } catch (error) {
-      console.error("Error collapsing DeepSeek sidebar:", error);
-      return false;
+    if (model) {
+      this.featureTargets.deepthink = model.deepThink;
     }
+    return result;
+  }
+  async selectDeepSeekModel(candidate) {
+    const model = this.models.find((entry) =>
+      ModelPreferences.matches(entry.name, candidate)
+    );
+    if (!model) return null;
+
+    const result = await runFeature(
+      this.getFeature("deepthink"),
+      this,
+      model.deepThink
+    );
+    this.featureResults.deepthink = result;
+    return isFeatureResultOk(result);
+  }
+  isDeepSeekSidebarCollapsed() {
+    return !document.querySelector(".b8812f16");
   }
   isDeepThinkAndSearchEnabled(button) {
     if (!button) return false;
@@ -60,73 +98,9 @@ class DeepSeekHandler extends AIPlatformHandler {
     const buttonColor = computedStyle
       .getPropertyValue("--ds-button-color")
       .trim();
-    return (
-      buttonColor.includes("rgba(77, 107, 254") ||
-      !buttonColor.includes("transparent")
-    );
-  }
-  async findAndEnableButtons() {
-    try {
-      const allButtons = Array.from(document.querySelectorAll(".ds-button"));
-      const targetButtons = allButtons.filter((button) => {
-        const textContent = button.textContent || "";
-        return (
-          textContent.includes("DeepThink") || textContent.includes("Search")
-        );
-      });
-      let buttonsEnabled = 0;
-      for (const button of targetButtons) {
-        if (!this.isDeepThinkAndSearchEnabled(button)) {
-          simulateClick(button);
-          await waitFor(300);
-          buttonsEnabled++;
-        }
-      }
-      if (buttonsEnabled > 0) {
-        await this.setFeatureEnabled(true);
-        return true;
-      }
-      if (targetButtons.length > 0) {
-        await this.setFeatureEnabled(true);
-        return true;
-      }
-      return false;
-    } catch (error) {
-      return false;
-    }
-  }
-  async enableDeepSeekButtons() {
-    try {
-      if (!this.isValidPage()) {
-        return false;
-      }
-      if (await this.getFeatureEnabled()) {
-        const allButtons = Array.from(document.querySelectorAll(".ds-button"));
-        const targetButtons = allButtons.filter((button) => {
-          const textContent = button.textContent || "";
-          return (
-            textContent.includes("DeepThink") || textContent.includes("Search")
-          );
-        });
-        if (
-          targetButtons.every((button) =>
-            this.isDeepThinkAndSearchEnabled(button)
-          )
-        ) {
-          return true;
-        }
-      }
-      return await this.findAndEnableButtons();
-    } catch (error) {
-      return false;
-    }
+    // Only DeepSeek's blue means on; an empty or unknown colour reads as off
+    return buttonColor.includes("rgba(77, 107, 254");
   }
 }
 const deepSeekHandler = new DeepSeekHandler();
-handlers.push(deepSeekHandler);
-const isDeepSeekWebsite =
-  window.location.hostname.includes("chat.deepseek.com") &&
-  deepSeekHandler.isValidPage();
-if (isDeepSeekWebsite) {
-  deepSeekHandler.initialize();
-}
+registerPlatformHandler(deepSeekHandler);
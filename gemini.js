@@ -5,17 +5,53 @@ class GeminiHandler extends AIPlatformHandler {
       storageKey: "gemini-options-enabled",
       urlPatterns: ["gemini.google.com/app", /gemini\.google\.com\/?$/],
       defaultDelays: [1500, 3000, 5000, 7000],
+      thinkingFeature: null,
     });
+    this.selectors = {
+      chatInput: 'rich-textarea .ql-editor, [contenteditable="true"][role="textbox"]',
+      sendButton: 'button.send-button, button[aria-label="Send message"]',
+    };
+    this.features = [
+      {
+        id: "collapse-menu",
+        label: "Collapse menu",
+        locate: [
+          '[data-test-id="side-nav-menu-button"]',
+          '[aria-label="Main menu"]',
+        ],
+        probe: () => this.isGeminiMenuCollapsed(),
+        verify: () => true,
+        reversible: false,
+        optional: true,
+      },
+      {
+        id: "canvas",
+        label: "Canvas",
+        locate: [{ selector: "button", text: "Canvas" }],
+        probe: () => this.isGeminiCanvasEnabled(),
+      },
+    ];
+    this.modelPicker = {
+      locate: ['[data-test-id="bard-mode-menu-button"]'],
+      options: 'button[mat-menu-item], [role="menuitem"]',
+      readActive: () => {
+        const attributionElement = document.querySelector(
+          '[data-test-id="attribution-text"]'
+        );
+        const modeButton = document.querySelector(
+          '[data-test-id="bard-mode-menu-button"]'
+        );
+        const element = attributionElement || modeButton;
+        return element ? element.textContent.trim() : null;
+      },
+      settleDelay: 800,
+    };
   }
 
   isValidGeminiPage() {
     return this.isValidPage();
   }
 
-  async enableFeatures() {
-    return await this.setupGeminiFeatures();
-  }
-
   async isGeminiMenuCollapsed() {
     try {
       if (document.readyState !== "complete") {
@@ -36,19 +72,6 @@ class GeminiHandler extends AIPlatformHandler {
     }
   }
 
-  async isGemini25ProEnabled() {
-    try {
-      const attributionElement = document.querySelector(
-        '[data-test-id="attribution-text"]'
-      );
-      if (!attributionElement) return false;
-
-      return attributionElement.textContent.includes("2.5 Pro");
-    } catch (error) {
-      return false;
-    }
-  }
-
   async isGeminiCanvasEnabled() {
     try {
       const canvasButtons = Array.from(
@@ -65,108 +88,7 @@ class GeminiHandler extends AIPlatformHandler {
       return false;
     }
   }
-
-  async collapseGeminiMenu() {
-    try {
-      const collapsed = await this.isGeminiMenuCollapsed();
-      if (collapsed) return true;
-
-      const menuButton = document.querySelector(
-        '[data-test-id="side-nav-menu-button"]'
-      );
-      if (!menuButton) {
-        const altMenuButton = document.querySelector(
-          '[aria-label="Main menu"]'
-        );
-        if (altMenuButton) {
-          simulateClick(altMenuButton);
-          return true;
-        }
-        return false;
-      }
-
-      simulateClick(menuButton);
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  async enableGemini25Pro() {
-    try {
-      const enabled = await this.isGemini25ProEnabled();
-      if (enabled) return true;
-
-      const modeButton = document.querySelector(
-        '[data-test-id="bard-mode-menu-button"]'
-      );
-      if (!modeButton) return false;
-
-      simulateClick(modeButton);
-      await waitFor(800);
-
-      const proOptions = Array.from(document.querySelectorAll("button")).filter(
-        (button) => button.textContent.includes("2.5 Pro")
-      );
-
-      if (proOptions.length === 0) {
-        simulateClick(document.body);
-        return false;
-      }
-
-      simulateClick(proOptions[0]);
-      await waitFor(500);
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  async enableGeminiCanvas() {
-    try {
-      const enabled = await this.isGeminiCanvasEnabled();
-      if (enabled) return true;
-
-      const canvasButtons = Array.from(
-        document.querySelectorAll("button")
-      ).filter((button) => button.textContent.trim().includes("Canvas"));
-
-      if (canvasButtons.length === 0) return false;
-
-      for (const button of canvasButtons) {
-        if (!button.classList.contains("is-selected")) {
-          simulateClick(button);
-          await waitFor(300);
-          return true;
-        }
-      }
-
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  async setupGeminiFeatures() {
-    await this.collapseGeminiMenu();
-    await waitFor(1000);
-
-    await this.enableGemini25Pro();
-    await waitFor(1000);
-
-    await this.enableGeminiCanvas();
-
-    await this.setFeatureEnabled(true);
-    return true;
-  }
 }
 
 const geminiHandler = new GeminiHandler();
-handlers.push(geminiHandler);
-
-const isGeminiWebsite =
-  window.location.hostname.includes("gemini.google.com") &&
-  geminiHandler.isValidPage();
-if (isGeminiWebsite) {
-  geminiHandler.initialize();
-}
+registerPlatformHandler(geminiHandler);
@@ -5,190 +5,471 @@ class GoogleAIStudioHandler extends AIPlatformHandler {
       storageKey: "googleaistudio-menus-enabled",
       urlPatterns: ["aistudio.google.com/"],
       defaultDelays: [1000, 2000, 3000, 5000],
+      thinkingFeature: "thinking",
     });
+    this.selectors = {
+      promptInput:
+        'textarea[aria-label="Type something or tab to choose an example prompt"]',
+      chatInput:
+        'textarea[aria-label="Type something or tab to choose an example prompt"], ms-prompt-input-wrapper textarea',
+      sendButton: 'button[aria-label="Run"], run-button button',
+    };
     this.observer = null;
     this.settingsAppliedOnPageLoad = false;
+    this.activeProfileId = null;
+    this.activeProfile = null;
+    this.onStorageChanged = this.onStorageChanged.bind(this);
+    this.features = [
+      {
+        id: "url-context",
+        label: "URL Context",
+        locate: ['ms-browse-as-a-tool button[role="switch"]'],
+        probe: FeatureProbes.ariaChecked,
+        settleDelay: 100,
+      },
+      {
+        id: "code-execution",
+        label: "Code execution",
+        locate: [
+          'ms-code-execution-tool button[role="switch"]',
+          'button[role="switch"][aria-label="Code execution"]',
+        ],
+        probe: FeatureProbes.ariaChecked,
+        settleDelay: 100,
+      },
+      {
+        id: "grounding-with-search",
+        label: "Grounding with Google Search",
+        locate: [
+          'ms-search-as-a-tool button[role="switch"]',
+          'button[role="switch"][aria-label="Grounding with Google Search"]',
+        ],
+        probe: FeatureProbes.ariaChecked,
+        settleDelay: 100,
+      },
+      {
+        id: "structured-output",
+        label: "Structured output",
+        locate: [
+          'ms-structured-output-tool button[role="switch"]',
+          'button[role="switch"][aria-label="Structured output"]',
+        ],
+        probe: FeatureProbes.ariaChecked,
+        settleDelay: 100,
+      },
+      {
+        id: "thinking",
+        label: "Thinking mode",
+        locate: [
+          'mat-slide-toggle[data-test-toggle="enable-thinking"] button',
+          'button[role="switch"][aria-label="Toggle thinking mode"]',
+        ],
+        probe: FeatureProbes.ariaChecked,
+      },
+      {
+        id: "manual-thinking-budget",
+        label: "Manual thinking budget",
+        locate: ['mat-slide-toggle[data-test-toggle="manual-budget"] button'],
+        probe: FeatureProbes.ariaChecked,
+      },
+    ];
+    this.modelPicker = {
+      locate: ["ms-model-selector mat-select", "ms-model-selector button"],
+      options:
+        ".cdk-overlay-pane mat-option, ms-model-carousel-row button, [role='option']",
+      readActive: () => {
+        const modelSelector = locateElement([
+          "ms-model-selector mat-select",
+          "ms-model-selector button",
+        ]);
+        return modelSelector ? modelSelector.textContent.trim() : null;
+      },
+    };
+    this.profileTools = {
+      urlContext: "url-context",
+      codeExecution: "code-execution",
+      groundingWithSearch: "grounding-with-search",
+      structuredOutput: "structured-output",
+    };
   }
 
   isValidGoogleAIStudioPage() {
     return this.isValidPage();
   }
 
+  getPageKey() {
+    return window.location.pathname;
+  }
+
   async runSetupSequence() {
-    await this.applyCustomSettings();
+    const applied = await this.applyCustomSettings();
     await this.collapseMenusAndFocus();
+    return applied;
   }
 
   async applyCustomSettings() {
     try {
-      const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      this.featureTargets = {};
+      this.activeProfileId = null;
+      this.activeProfile = null;
 
-      let runSettingsPanel = document.querySelector("ms-run-settings.expanded");
-      if (!runSettingsPanel) {
-        const openButton = document.querySelector(
-          'button[aria-label="Show run settings"]'
+      // Only the profile depends on "run-settings", the model has its own mode
+      if ((await this.getFeatureMode("run-settings")) !== "leave") {
+        const { id, profile } = await RunSettingsProfiles.getForPage(
+          this.getPageKey()
         );
-        if (openButton) {
-          openButton.click();
-          await waitFor(500);
-        } else {
-          console.error("Could not find 'Show run settings' button.");
-          return;
-        }
+        this.activeProfileId = id;
+        this.activeProfile = profile;
+        console.log(`Applying run-settings profile "${profile.name}"...`);
       }
 
-      const urlContextToggle = document.querySelector(
-        'ms-browse-as-a-tool button[role="switch"]'
-      );
-      if (
-        urlContextToggle &&
-        urlContextToggle.getAttribute("aria-checked") === "false"
-      ) {
-        console.log("Enabling URL Context...");
-        urlContextToggle.click();
-        await waitFor(100);
+      this.modelResult = null;
+      await this.applyModelPreference();
+
+      if (!this.activeProfile) return true;
+      if (!(await this.openRunSettings())) return false;
+
+      return await this.applyRunSettingsProfile(this.activeProfile);
+    } catch (error) {
+      console.error("Failed to apply custom AI Studio settings:", error);
+      return false;
+    }
+  }
+
+  async getModelCandidates() {
+    const fallbacks = await super.getModelCandidates();
+    const profileModel = this.activeProfile && this.activeProfile.model;
+    return profileModel ? [profileModel, ...fallbacks] : fallbacks;
+  }
+
+  async openRunSettings() {
+    const runSettingsPanel = document.querySelector("ms-run-settings.expanded");
+    if (runSettingsPanel) return true;
+
+    const openButton = document.querySelector(
+      'button[aria-label="Show run settings"]'
+    );
+    if (!openButton) {
+      console.error("Could not find 'Show run settings' button.");
+      return false;
+    }
+
+    openButton.click();
+    await waitFor(500);
+    return true;
+  }
+
+  async closeRunSettings() {
+    const runSettingsPanel = document.querySelector("ms-run-settings.expanded");
+    if (!runSettingsPanel) return;
+
+    const closeButton = runSettingsPanel.querySelector(
+      'button[aria-label="Close run settings panel"]'
+    );
+    if (closeButton) {
+      closeButton.click();
+      await waitFor(300);
+    }
+  }
+
+  // Every feature's switch is inside the run-settings panel, which is
+  // normally closed: open it for the call and close it again afterwards
+  async withRunSettings(callback) {
+    const wasOpen = !!document.querySelector("ms-run-settings.expanded");
+    if (!wasOpen) {
+      await this.openRunSettings();
+    }
+
+    try {
+      return await callback();
+    } finally {
+      if (!wasOpen) {
+        await this.closeRunSettings();
       }
+    }
+  }
 
-      const topPContainer = document.querySelector(
-        'div[mattooltip="Probability threshold for top-p sampling"]'
+  getFeatureStatus() {
+    return this.withRunSettings(() => super.getFeatureStatus());
+  }
+
+  applyFeature(id, target = true) {
+    return this.withRunSettings(() => super.applyFeature(id, target));
+  }
+
+  toggleFeature(id) {
+    return this.withRunSettings(() => super.toggleFeature(id));
+  }
+
+  disableFeatures() {
+    return this.withRunSettings(() => super.disableFeatures());
+  }
+
+  async applyRunSettingsProfile(profile) {
+    let done = true;
+    if (profile.temperature !== null && profile.temperature !== undefined) {
+      this.setNumberInput(
+        "Temperature",
+        [
+          'div[data-test-id="temperatureSliderContainer"] input[type="number"]',
+          'div[mattooltip="Controls randomness of the response"] input[type="number"]',
+        ],
+        profile.temperature
       );
-      if (topPContainer) {
-        const topPInput = topPContainer.querySelector('input[type="number"]');
-        if (topPInput && topPInput.value !== "1") {
-          console.log('Setting "Top P" to 1...');
-          topPInput.value = "1";
-          topPInput.dispatchEvent(new Event("input", { bubbles: true }));
-          topPInput.dispatchEvent(new Event("blur", { bubbles: true }));
-        }
-      }
+    }
 
-      const manualBudgetToggle = document.querySelector(
-        'mat-slide-toggle[data-test-toggle="manual-budget"] button'
+    if (profile.topP !== null && profile.topP !== undefined) {
+      this.setNumberInput(
+        "Top P",
+        [
+          'div[mattooltip="Probability threshold for top-p sampling"] input[type="number"]',
+        ],
+        profile.topP
       );
-      if (manualBudgetToggle) {
-        if (manualBudgetToggle.getAttribute("aria-checked") === "false") {
-          console.log("Enabling manual thinking budget...");
-          manualBudgetToggle.click();
-          await waitFor(300);
-        }
+    }
+
+    const tools = profile.tools || {};
+    for (const [toolKey, featureId] of Object.entries(this.profileTools)) {
+      if (tools[toolKey] === null || tools[toolKey] === undefined) continue;
+      const result = await this.runProfileFeature(featureId, tools[toolKey]);
+      done = done && isFeatureResultOk(result);
+    }
 
-        const budgetInput = document.querySelector(
-          'div[data-test-id="user-setting-budget-animation-wrapper"] input[type="number"]'
+    if (profile.thinkingBudget !== null && profile.thinkingBudget !== undefined) {
+      const manual = profile.thinkingBudget !== "auto";
+      const result = await this.runProfileFeature("manual-thinking-budget", manual);
+      done = done && isFeatureResultOk(result);
+      if (manual && result.enabled) {
+        this.setNumberInput(
+          "Thinking budget",
+          [
+            'div[data-test-id="user-setting-budget-animation-wrapper"] input[type="number"]',
+          ],
+          profile.thinkingBudget
         );
-        if (budgetInput) {
-          console.log("Setting thinking budget to 32768...");
-          budgetInput.value = "32768";
-          budgetInput.dispatchEvent(new Event("input", { bubbles: true }));
-          budgetInput.dispatchEvent(new Event("blur", { bubbles: true }));
-        }
       }
+    }
+
+    if (profile.mediaResolution) {
+      await this.selectMediaResolution(profile.mediaResolution);
+    }
 
-      const mediaResolutionDropdown = document.querySelector(
-        'mat-select[aria-label="Media Resolution"]'
+    if (
+      (profile.outputLength !== null && profile.outputLength !== undefined) ||
+      Array.isArray(profile.stopSequences)
+    ) {
+      await this.expandAdvancedSettings();
+    }
+
+    if (profile.outputLength !== null && profile.outputLength !== undefined) {
+      this.setNumberInput(
+        "Output length",
+        [
+          'div[mattooltip="Maximum number of tokens in response"] input[type="number"]',
+          'input[aria-label="Maximum output tokens"]',
+        ],
+        profile.outputLength
       );
-      if (mediaResolutionDropdown) {
-        const currentValue = mediaResolutionDropdown
-          .querySelector(".mat-mdc-select-value-text")
-          .textContent.trim();
-        if (currentValue.includes("Default")) {
-          console.log("Changing Media Resolution to 'Medium'...");
-          mediaResolutionDropdown.click();
-          await waitFor(300);
-
-          const options = document.querySelectorAll(
-            ".cdk-overlay-pane mat-option"
-          );
-          let mediumOption = null;
-          for (const option of options) {
-            if (option.textContent.trim() === "Medium") {
-              mediumOption = option;
-              break;
-            }
-          }
-
-          if (mediumOption) {
-            mediumOption.click();
-            await waitFor(100);
-          } else {
-            console.error("Could not find the 'Medium' resolution option.");
-            mediaResolutionDropdown.click();
-          }
-        }
-      } else {
-        console.error("Could not find the Media Resolution dropdown.");
-      }
-    } catch (error) {
-      console.error("Failed to apply custom AI Studio settings:", error);
     }
+
+    if (Array.isArray(profile.stopSequences)) {
+      await this.setStopSequences(profile.stopSequences);
+    }
+
+    return done;
   }
 
-  async collapseMenusAndFocus() {
-    try {
-      const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-      const runSettingsPanel = document.querySelector(
-        "ms-run-settings.expanded"
-      );
+  async runProfileFeature(featureId, target) {
+    this.featureTargets[featureId] = target;
+    const result = await runFeature(this.getFeature(featureId), this, target);
+    this.featureResults[featureId] = result;
+    return result;
+  }
 
-      if (runSettingsPanel) {
-        const closeButton = runSettingsPanel.querySelector(
-          'button[aria-label="Close run settings panel"]'
-        );
-        if (closeButton) {
-          closeButton.click();
-          await waitFor(300);
+  setNumberInput(label, locators, value) {
+    const input = locateElement(locators);
+    if (!input) {
+      console.error(`Could not find the ${label} input.`);
+      return false;
+    }
+
+    if (Number(input.value) === Number(value)) return true;
+
+    console.log(`Setting "${label}" to ${value}...`);
+    input.value = String(value);
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    input.dispatchEvent(new Event("blur", { bubbles: true }));
+    return true;
+  }
+
+  async selectMediaResolution(resolution) {
+    const mediaResolutionDropdown = document.querySelector(
+      'mat-select[aria-label="Media Resolution"]'
+    );
+    if (!mediaResolutionDropdown) {
+      console.error("Could not find the Media Resolution dropdown.");
+      return false;
+    }
+
+    const valueText = mediaResolutionDropdown.querySelector(
+      ".mat-mdc-select-value-text"
+    );
+    const currentValue = valueText ? valueText.textContent.trim() : "";
+    if (currentValue === resolution) return true;
+
+    console.log(`Changing Media Resolution to '${resolution}'...`);
+    mediaResolutionDropdown.click();
+    await waitFor(300);
+
+    const option = locateElement([
+      { selector: ".cdk-overlay-pane mat-option", text: resolution, exact: true },
+    ]);
+
+    if (!option) {
+      console.error(`Could not find the '${resolution}' resolution option.`);
+      mediaResolutionDropdown.click();
+      return false;
+    }
+
+    option.click();
+    await waitFor(100);
+    return true;
+  }
+
+  async expandAdvancedSettings() {
+    const header = locateElement([
+      {
+        selector: "mat-expansion-panel-header, button",
+        text: "Advanced settings",
+        filter: (el) => el.getAttribute("aria-expanded") === "false",
+      },
+    ]);
+    if (header) {
+      simulateClick(header);
+      await waitFor(300);
+    }
+  }
+
+  async setStopSequences(stopSequences) {
+    const chips = Array.from(
+      document.querySelectorAll("ms-stop-sequence mat-chip-row, mat-chip-row")
+    );
+    for (const chip of chips) {
+      const text = chip.textContent.replace("cancel", "").trim();
+      if (!stopSequences.includes(text)) {
+        const removeButton = chip.querySelector("button[matchipremove], button");
+        if (removeButton) {
+          simulateClick(removeButton);
+          await waitFor(100);
         }
       }
+    }
 
-      const inputField = document.querySelector(
-        'textarea[aria-label="Type something or tab to choose an example prompt"]'
-      );
-      if (inputField) {
-        inputField.focus();
+    const existing = Array.from(
+      document.querySelectorAll("ms-stop-sequence mat-chip-row, mat-chip-row")
+    ).map((chip) => chip.textContent.replace("cancel", "").trim());
+
+    const input = locateElement([
+      'input[aria-label="Add stop token"]',
+      "ms-stop-sequence input",
+    ]);
+    if (!input) {
+      if (stopSequences.length > 0) {
+        console.error("Could not find the stop sequence input.");
       }
+      return;
+    }
 
-      await this.setFeatureEnabled(true);
+    for (const sequence of stopSequences) {
+      if (existing.includes(sequence)) continue;
+      input.focus();
+      input.value = sequence;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "Enter", bubbles: true })
+      );
+      await waitFor(100);
+    }
+  }
+
+  async collapseMenusAndFocus() {
+    try {
+      await this.closeRunSettings();
+      this.focusChatInput();
     } catch (error) {
       console.error("Error during collapse or focus action:", error);
     }
   }
 
-  async handlePageLoad() {
-    if (this.settingsAppliedOnPageLoad) return;
-    this.settingsAppliedOnPageLoad = true;
+  async enableFeatures() {
+    const promptInputField = await this.waitForElement(
+      this.selectors.promptInput,
+      5000
+    );
+    if (!promptInputField) return false;
+
     if (this.observer) {
       this.observer.disconnect();
+      this.observer = null;
     }
 
     console.log("AI Studio page loaded. Running setup sequence.");
+    const done = await this.runSetupSequence();
+    this.settingsAppliedOnPageLoad = true;
+
+    // A failed step leaves the next scheduled attempt to try again
+    if (done) {
+      await this.setFeatureEnabled(true);
+    }
+    return done;
+  }
+
+  async onStorageChanged(changes, areaName) {
+    if (areaName !== "local" || !this.settingsAppliedOnPageLoad) return;
+    if (
+      !changes[RunSettingsProfiles.STORAGE_KEY] &&
+      !changes[RunSettingsProfiles.SELECTION_KEY]
+    ) {
+      return;
+    }
+
+    const { id } = await RunSettingsProfiles.getForPage(this.getPageKey());
+    if (id === this.activeProfileId && !changes[RunSettingsProfiles.STORAGE_KEY]) {
+      return;
+    }
+
+    console.log("Run-settings profile changed. Re-applying.");
     await this.runSetupSequence();
   }
 
-  initialize() {
-    const observerCallback = (mutationsList, observer) => {
-      const promptInputField = document.querySelector(
-        'textarea[aria-label="Type something or tab to choose an example prompt"]'
-      );
+  async initialize() {
+    await super.initialize();
+    if (!this.initialized) return;
 
-      if (promptInputField && !this.settingsAppliedOnPageLoad) {
-        this.handlePageLoad();
-        if (this.observer) {
-          this.observer.disconnect();
-        }
-      }
-    };
+    browser.storage.onChanged.addListener(this.onStorageChanged);
 
-    this.observer = new MutationObserver(observerCallback);
+    // The prompt input can show up after the last scheduled attempt
+    this.observer = new MutationObserver(() => {
+      if (document.querySelector(this.selectors.promptInput)) {
+        this.attemptEnable();
+      }
+    });
     this.observer.observe(document.body, { childList: true, subtree: true });
   }
+
+  cleanup() {
+    super.cleanup();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    browser.storage.onChanged.removeListener(this.onStorageChanged);
+    this.settingsAppliedOnPageLoad = false;
+    this.activeProfileId = null;
+    this.activeProfile = null;
+  }
 }
 
 const googleAIStudioHandler = new GoogleAIStudioHandler();
-handlers.push(googleAIStudioHandler);
-
-const isGoogleAIStudioWebsite =
-  window.location.hostname.includes("aistudio.google.com") &&
-  googleAIStudioHandler.isValidPage();
-
-if (isGoogleAIStudioWebsite) {
-  googleAIStudioHandler.initialize();
-}
+registerPlatformHandler(googleAIStudioHandler);
@@ -6,44 +6,38 @@ class GrokHandler extends AIPlatformHandler {
       urlPatterns: ["grok.com/new", "grok.com/chat", /grok\.com\/?$/],
       defaultDelays: [1500, 3000, 5000, 7000],
     });
-  }
-  async enableFeatures() {
-    return await this.toggleGrokThinking();
-  }
-  async toggleGrokThinking() {
-    try {
-      if (await this.getFeatureEnabled()) {
-        return true;
-      }
-      const thinkButton = Array.from(document.querySelectorAll("button")).find(
-        (button) =>
-          button.querySelector("span") &&
-          button.querySelector("span").textContent === "Think" &&
-          button.hasAttribute("aria-pressed")
-      );
-      if (!thinkButton) {
-        return false;
-      }
-      if (thinkButton.getAttribute("aria-pressed") === "true") {
-        await this.setFeatureEnabled(true);
-        return true;
-      }
-      simulateClick(thinkButton);
-      await waitFor(500);
-      if (thinkButton.getAttribute("aria-pressed") === "true") {
-        await this.setFeatureEnabled(true);
-        return true;
-      } else {
-        return false;
-      }
-    } catch (error) {
-      return false;
-    }
+    this.selectors = {
+      chatInput: 'textarea[aria-label="Ask Grok anything"], form textarea',
+      sendButton: 'button[type="submit"]',
+    };
+    this.features = [
+      {
+        id: "thinking",
+        label: "Think",
+        locate: [
+          {
+            selector: "button[aria-pressed]",
+            filter: (button) =>
+              button.querySelector("span") &&
+              button.querySelector("span").textContent === "Think",
+          },
+        ],
+        probe: FeatureProbes.ariaPressed,
+        settleDelay: 500,
+      },
+    ];
+    this.modelPicker = {
+      locate: ["#model-select-trigger", 'button[aria-label="Model select"]'],
+      options: '[role="menuitem"], [role="option"]',
+      readActive: () => {
+        const trigger = locateElement([
+          "#model-select-trigger",
+          'button[aria-label="Model select"]',
+        ]);
+        return trigger ? trigger.textContent.trim() : null;
+      },
+    };
   }
 }
 const grokHandler = new GrokHandler();
-handlers.push(grokHandler);
-const isGrokWebsite = window.location.hostname.includes("grok.com");
-if (isGrokWebsite) {
-  grokHandler.initialize();
-}
+registerPlatformHandler(grokHandler);
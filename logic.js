@@ -9,49 +9,857 @@
 
 /**
  * Base class for all AI platform handlers
- * Each platform handler should extend this class
+ * Each platform handler should extend this class and pass its configuration
+ * to the constructor:
+ *
+ *   super({
+ *     hostname: "grok.com",
+ *     domains: ["grok.com"],
+ *     storageKey: "grok-thinking-enabled",
+ *     urlPatterns: ["grok.com/new", /grok\.com\/?$/],
+ *     defaultDelays: [1500, 3000, 5000],
+ *     thinkingFeature: "thinking"
+ *   });
  */
 class AIPlatformHandler {
-  constructor() {
-    this.platform = "unknown";
+  /**
+   * @param {object} [config] - Handler configuration
+   * @param {string} [config.hostname] - Hostname the handler runs on (e.g., "grok.com")
+   * @param {string[]} [config.domains] - Every domain the handler serves (defaults to [hostname])
+   * @param {string} [config.storageKey] - Extension storage key for the "feature enabled" state
+   * @param {Array<string|RegExp>} [config.urlPatterns] - Pages the handler should act on
+   * @param {number[]} [config.defaultDelays] - Delays (ms) of the enableFeatures() attempts
+   * @param {string|null} [config.thinkingFeature] - Feature the "toggle thinking" shortcut flips
+   */
+  constructor(config = {}) {
+    this.hostname = config.hostname || "unknown";
+    this.domains = config.domains || [this.hostname];
+    this.platform = this.hostname;
+    this.storageKey = config.storageKey || `${this.hostname}-features-enabled`;
+    this.urlPatterns = config.urlPatterns || [];
+    this.defaultDelays = config.defaultDelays || [1000, 2000, 3000, 5000];
+    this.thinkingFeature = config.thinkingFeature === undefined ? "thinking" : config.thinkingFeature;
     this.selectors = {};
+    this.features = [];
+    this.featureResults = {};
+    // Targets fixed by the chosen model or settings profile; they win over the
+    // feature's mode so runFeatures() doesn't undo them
+    this.featureTargets = {};
+    this.modelPicker = null;
+    this.modelResult = null;
     this.initialized = false;
+    this.initializedAt = 0;
+    this.completed = false;
+    this.running = false;
+    this.retryTimers = [];
   }
 
   /**
    * Enable all features for this platform
-   * Must be implemented by subclass
+   * Runs the handler's feature descriptors according to the user's
+   * preferences; subclasses with extra steps override this and call
+   * super.enableFeatures()
+   * @returns {Promise<boolean>} true once every required feature is in place
    */
   async enableFeatures() {
-    throw new Error("enableFeatures must be implemented by subclass");
+    if (this.features.length === 0) {
+      throw new Error("enableFeatures must be implemented by subclass");
+    }
+
+    await this.applyModelPreference();
+
+    const results = await this.runFeatures();
+    const done = results.every((result, index) =>
+      this.features[index].optional || isFeatureResultOk(result)
+    );
+
+    if (done) {
+      await this.setFeatureEnabled(true);
+    }
+    return done;
   }
 
   /**
-   * Initialize the handler
+   * Run feature descriptors through the feature engine
+   * Each feature is turned on, turned off or left alone depending on the
+   * mode chosen for it on the options page, unless featureTargets pins it
+   * @param {string[]} [ids] - Feature ids to run (defaults to all)
+   * @returns {Promise<object[]>} One result per feature run
    */
-  async init() {
-    if (this.initialized) return;
-    
-    console.log(`[${this.platform}] Initializing handler...`);
+  async runFeatures(ids = null) {
+    const features = ids
+      ? this.features.filter(feature => ids.includes(feature.id))
+      : this.features;
+    const modes = await Preferences.getPlatformModes(this.hostname);
+    const results = [];
+
+    for (const feature of features) {
+      const mode = modes[feature.id] || "on";
+      const pinned = feature.id in this.featureTargets;
+      const result = mode === "leave" && !pinned
+        ? { id: feature.id, label: feature.label || feature.id, status: "left-alone", checkedAt: Date.now() }
+        : await runFeature(feature, this, pinned ? this.featureTargets[feature.id] : mode === "on");
+      this.featureResults[feature.id] = result;
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the user's mode for one of this handler's features
+   * @param {string} id - Feature id
+   * @returns {Promise<string>} "on", "off" or "leave"
+   */
+  getFeatureMode(id) {
+    return Preferences.getFeatureMode(this.hostname, id);
+  }
+
+  /**
+   * Switch to the user's preferred model through the handler's model picker
+   * Candidates are tried in order, so later entries are fallbacks for when
+   * the first choice isn't offered. Once a model is settled it isn't
+   * re-selected by later retries
+   * @returns {Promise<object|null>} Result from selectModel(), or null if nothing to do
+   */
+  async applyModelPreference() {
+    if (!this.modelPicker) return null;
+    if (this.modelResult && isModelResultFinal(this.modelResult)) return this.modelResult;
+    if ((await this.getFeatureMode("model")) === "leave") return null;
+
+    const candidates = await this.getModelCandidates();
+    if (candidates.length === 0) return null;
+
+    this.modelResult = await selectModel(this.modelPicker, candidates, this);
+    return this.modelResult;
+  }
+
+  /**
+   * Preferred models for this page, first choice first
+   * @returns {Promise<string[]>}
+   */
+  getModelCandidates() {
+    return ModelPreferences.get(this.hostname);
+  }
+
+  /**
+   * Read the model that is currently active on the page
+   * @returns {Promise<string|null>}
+   */
+  async getActiveModel() {
+    if (!this.modelPicker) return null;
+    try {
+      return (await this.modelPicker.readActive(this)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get a feature descriptor by id
+   * @param {string} id
+   * @returns {object|null}
+   */
+  getFeature(id) {
+    return this.features.find(feature => feature.id === id) || null;
+  }
+
+  // ==========================================================================
+  // Feature Status
+  // ==========================================================================
+
+  /**
+   * Probe every feature on the page right now
+   * Each entry pairs the live state with the result of the handler's last
+   * attempt, so the popup can show what was tried and why it failed
+   * @returns {Promise<object[]>} One status per feature, the model first
+   */
+  async getFeatureStatus() {
+    const modes = await Preferences.getPlatformModes(this.hostname);
+    const statuses = [];
+
+    if (this.modelPicker) {
+      const candidates = await this.getModelCandidates();
+      const model = await this.getActiveModel();
+      statuses.push({
+        id: "model",
+        label: "Model",
+        mode: modes.model || null,
+        found: !!model || !!locateElement(this.modelPicker.locate, this),
+        enabled: candidates.length > 0
+          ? candidates.some(candidate => ModelPreferences.matches(model, candidate))
+          : null,
+        detail: model,
+        reversible: false,
+        lastResult: this.modelResult
+      });
+    }
+
+    for (const feature of this.features) {
+      statuses.push({
+        ...(await probeFeature(feature, this)),
+        mode: modes[feature.id] || null,
+        lastResult: this.featureResults[feature.id] || null
+      });
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Turn a single feature on or off now, regardless of its preference
+   * "model" re-runs the model picker with the preferred models
+   * @param {string} id - Feature id
+   * @param {boolean} [target=true] - Whether the feature should end up on or off
+   * @returns {Promise<object>} Result from runFeature() or selectModel()
+   */
+  async applyFeature(id, target = true) {
+    if (id === "model" && this.modelPicker) {
+      if (!target) {
+        throw new Error("The model can't be turned off");
+      }
+
+      const candidates = await this.getModelCandidates();
+      if (candidates.length === 0) {
+        throw new Error("No preferred model set on the options page");
+      }
+
+      this.modelResult = await selectModel(this.modelPicker, candidates, this);
+      return this.modelResult;
+    }
+
+    const feature = this.getFeature(id);
+    if (!feature) {
+      throw new Error(`Unknown feature "${id}"`);
+    }
+
+    const result = await runFeature(feature, this, target);
+    this.featureResults[id] = result;
+    return result;
+  }
+
+  /**
+   * Turn a single feature on now
+   * @param {string} id - Feature id
+   * @returns {Promise<object>} Result from runFeature() or selectModel()
+   */
+  enableFeature(id) {
+    return this.applyFeature(id, true);
+  }
+
+  /**
+   * Turn a single feature off now
+   * @param {string} id - Feature id
+   * @returns {Promise<object>} Result from runFeature()
+   */
+  disableFeature(id) {
+    return this.applyFeature(id, false);
+  }
+
+  /**
+   * Flip a feature to the opposite of its probed state
+   * @param {string} id - Feature id
+   * @returns {Promise<object>} Result from runFeature()
+   */
+  async toggleFeature(id) {
+    const feature = this.getFeature(id);
+    if (!feature) {
+      throw new Error(`Unknown feature "${id}"`);
+    }
+
+    const status = await probeFeature(feature, this);
+    if (status.error) {
+      throw new Error(`Could not read the state of "${status.label}": ${status.error}`);
+    }
+
+    return this.applyFeature(id, !status.enabled);
+  }
+
+  /**
+   * Flip the platform's thinking / reasoning feature
+   * @returns {Promise<object>} Result from runFeature()
+   */
+  toggleThinking() {
+    if (!this.thinkingFeature || !this.getFeature(this.thinkingFeature)) {
+      return Promise.reject(new Error(`${this.platform} has no thinking toggle`));
+    }
+    return this.toggleFeature(this.thinkingFeature);
+  }
+
+  /**
+   * Turn off every feature that can be turned off
+   * Pending automation attempts are cancelled first so they don't switch
+   * the features straight back on
+   * @returns {Promise<object[]>} One result per reversible feature
+   */
+  async disableFeatures() {
+    this.cancelRetries();
+    const results = [];
+
+    for (const feature of this.features) {
+      if (feature.reversible === false && !feature.deactivate) continue;
+      results.push(await this.applyFeature(feature.id, false));
+    }
+
+    return results;
+  }
+
+  // ==========================================================================
+  // Chat Input
+  // ==========================================================================
+
+  /**
+   * Find the prompt input (selectors.chatInput, may be a selector list)
+   * @returns {Element|null}
+   */
+  getChatInput() {
+    return this.selectors.chatInput ? document.querySelector(this.selectors.chatInput) : null;
+  }
+
+  /**
+   * Focus the prompt input with the caret at the end
+   * @returns {boolean} true if the input was found
+   */
+  focusChatInput() {
+    const input = this.getChatInput();
+    if (!input) return false;
+
+    input.focus();
+    if (typeof input.setSelectionRange === "function") {
+      input.setSelectionRange(input.value.length, input.value.length);
+    } else if (input.isContentEditable) {
+      const range = document.createRange();
+      range.selectNodeContents(input);
+      range.collapse(false);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    return true;
+  }
+
+  /**
+   * Type a prompt into the chat input and optionally send it
+   * Waits for the handler's automation to settle first so features like
+   * thinking are on before the prompt goes out
+   * @param {string} text - Prompt text
+   * @param {boolean} [submit=false] - Click the send button afterwards
+   * @returns {Promise<{success: boolean, submitted: boolean, error?: string}>}
+   */
+  async insertPrompt(text, submit = false) {
+    await this.waitUntilSettled();
+
+    const input = this.selectors.chatInput
+      ? await waitForElement(this.selectors.chatInput, 10000)
+      : null;
+    if (!input) {
+      return { success: false, submitted: false, error: "Chat input not found" };
+    }
+
+    this.focusChatInput();
+    // Short prompts are typed like a user would, long ones are pasted in one go
+    await ExtensionUtils.simulateTyping(input, text, text.length > 200 ? 0 : null);
+
+    if (!submit) {
+      return { success: true, submitted: false };
+    }
+
+    await wait(300);
+    const sendButton = this.selectors.sendButton
+      ? locateElement([{ selector: this.selectors.sendButton, filter: (button) => !button.disabled }])
+      : null;
+    if (!sendButton) {
+      return { success: true, submitted: false, error: "Send button not found or disabled" };
+    }
+
+    simulateClick(sendButton);
+    return { success: true, submitted: true };
+  }
+
+  /**
+   * Wait until the feature automation has finished or given up
+   * @param {number} [timeout=15000] - Maximum wait in ms
+   * @returns {Promise<boolean>} true if the automation completed
+   */
+  async waitUntilSettled(timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    const lastAttempt = Math.max(0, ...this.defaultDelays);
+
+    while (Date.now() < deadline) {
+      if (this.completed || !this.initialized) break;
+      if (!this.running && Date.now() - this.initializedAt > lastAttempt) break;
+      await wait(250);
+    }
+
+    return this.completed;
+  }
+
+  // ==========================================================================
+  // Login
+  // ==========================================================================
+
+  /**
+   * Check whether the user is logged in, from the platform's login cookies
+   * @returns {Promise<boolean|null>} null when it can't be told
+   */
+  async isLoggedIn() {
+    if (typeof CookieManager === "undefined") {
+      return null;
+    }
+
+    const status = await CookieManager.sessionStatus();
+    return status.success ? status.loggedIn : null;
+  }
+
+  // ==========================================================================
+  // Page Matching
+  // ==========================================================================
+
+  /**
+   * Check whether the current page is one this handler should act on
+   * String patterns match anywhere in "hostname/path", RegExps are tested
+   * against it (e.g., /grok\.com\/?$/ matches only the home page)
+   * @param {string} [href] - URL to check (defaults to current page)
+   * @returns {boolean}
+   */
+  isValidPage(href = window.location.href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (e) {
+      return false;
+    }
+
+    const hostname = url.hostname.replace(/^www\./, "");
+    if (!this.matchesHostname(hostname)) {
+      return false;
+    }
+
+    if (this.urlPatterns.length === 0) {
+      return true;
+    }
+
+    const location = hostname + url.pathname;
+    return this.urlPatterns.some(pattern =>
+      pattern instanceof RegExp ? pattern.test(location) : location.includes(pattern)
+    );
+  }
+
+  /**
+   * Check whether a hostname belongs to one of this handler's domains
+   * @param {string} hostname
+   * @returns {boolean}
+   */
+  matchesHostname(hostname) {
+    const bare = hostname.replace(/^www\./, "");
+    return this.domains.some(domain => bare === domain || bare.endsWith("." + domain));
+  }
+
+  // ==========================================================================
+  // Persisted Feature State
+  // ==========================================================================
+
+  /**
+   * Read the persisted "feature enabled" state for the current page
+   * The state is scoped to the page it was recorded on, so a stale flag
+   * from another conversation never short-circuits a fresh page
+   * @returns {Promise<boolean>}
+   */
+  async getFeatureEnabled() {
+    try {
+      const stored = await browser.storage.local.get(this.storageKey);
+      const state = stored[this.storageKey];
+      return !!(state && state.enabled && state.url === window.location.href);
+    } catch (error) {
+      console.warn(`[${this.platform}] Could not read feature state:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Persist the "feature enabled" state for the current page
+   * @param {boolean} enabled
+   */
+  async setFeatureEnabled(enabled) {
+    try {
+      await browser.storage.local.set({
+        [this.storageKey]: {
+          enabled: !!enabled,
+          url: window.location.href,
+          updatedAt: Date.now()
+        }
+      });
+    } catch (error) {
+      console.warn(`[${this.platform}] Could not store feature state:`, error);
+    }
+  }
+
+  // ==========================================================================
+  // Lifecycle
+  // ==========================================================================
+
+  /**
+   * Start the handler on the current page
+   * Schedules one enableFeatures() attempt per entry in defaultDelays and
+   * stops retrying as soon as an attempt reports success.
+   * Called by logic.js once per navigation - handlers must not call it themselves
+   */
+  async initialize() {
+    if (!this.isValidPage()) {
+      console.log(`[${this.platform}] Not a feature page, skipping`);
+      return;
+    }
+
+    this.cancelRetries();
     this.initialized = true;
-    
+    this.initializedAt = Date.now();
+    this.completed = false;
+    await this.setFeatureEnabled(false);
+
+    console.log(`[${this.platform}] Initializing handler...`);
+
+    for (const delay of this.defaultDelays) {
+      this.retryTimers.push(setTimeout(() => this.attemptEnable(), delay));
+    }
+  }
+
+  /**
+   * Run a single enableFeatures() attempt from the retry schedule
+   */
+  async attemptEnable() {
+    if (this.completed || this.running || !this.isValidPage()) return;
+
+    this.running = true;
     try {
-      await this.enableFeatures();
+      if (await this.enableFeatures()) {
+        this.completed = true;
+        this.cancelRetries();
+        console.log(`[${this.platform}] Features enabled`);
+      }
     } catch (error) {
       console.error(`[${this.platform}] Error enabling features:`, error);
+    } finally {
+      this.running = false;
     }
   }
 
+  /**
+   * Cancel any pending enableFeatures() attempts
+   */
+  cancelRetries() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers = [];
+  }
+
   /**
    * Cleanup when leaving the platform
    */
   cleanup() {
+    this.cancelRetries();
     this.initialized = false;
+    this.completed = false;
+    this.featureResults = {};
+    this.featureTargets = {};
+    this.modelResult = null;
+  }
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  /**
+   * Wait for specified milliseconds
+   * @param {number} ms
+   */
+  wait(ms) {
+    return waitFor(ms);
   }
+
+  /**
+   * Wait for an element to appear in the DOM
+   * @param {string} selector - CSS selector
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Element|null>}
+   */
+  waitForElement(selector, timeout = 5000) {
+    return waitForElement(selector, timeout);
+  }
+}
+
+// ============================================================================
+// Feature Engine
+// ============================================================================
+
+/*
+ * Feature descriptor format - one per automatable toggle:
+ *
+ *   {
+ *     id: "thinking",                         // Stable feature id
+ *     label: "Think",                         // Human readable name
+ *     locate: [strategy, ...],                // Tried in order until one finds the control
+ *     probe: (element, handler) => boolean,   // Current state (element may be null)
+ *     activate: async (element, handler) => boolean|void,  // Defaults to simulateClick(element)
+ *     deactivate: async (element, handler) => boolean|void,  // Defaults to activate (a toggle)
+ *     verify: async (element, handler) => boolean,         // Defaults to probing again
+ *     when: (handler, target) => boolean,     // Optional precondition, skipped if false
+ *     settleDelay: 300,                       // ms between activate and verify
+ *     reversible: false,                      // Can't be turned off (no deactivate, not a toggle)
+ *     optional: true                          // Failure doesn't block completion
+ *   }
+ *
+ * Locator strategies:
+ *   "css selector"
+ *   { selector: "button", text: "Think", exact: true, filter: (el) => boolean }
+ *   (handler) => Element|null
+ */
+
+/**
+ * Common state probes for feature descriptors
+ */
+const FeatureProbes = {
+  ariaPressed: (element) => !!element && element.getAttribute("aria-pressed") === "true",
+  ariaChecked: (element) => !!element && element.getAttribute("aria-checked") === "true",
+  hasClass: (className) => (element) => !!element && element.classList.contains(className),
+  exists: (selector) => () => !!document.querySelector(selector)
+};
+
+/**
+ * Find an element using a list of locator strategies
+ * @param {Array<string|object|Function>} strategies - Locator strategies
+ * @param {AIPlatformHandler} [handler] - Handler passed to function strategies
+ * @returns {Element|null}
+ */
+function locateElement(strategies, handler = null) {
+  for (const strategy of strategies || []) {
+    let element = null;
+
+    try {
+      if (typeof strategy === "function") {
+        element = strategy(handler);
+      } else if (typeof strategy === "string") {
+        element = document.querySelector(strategy);
+      } else if (strategy && strategy.selector) {
+        element = Array.from(document.querySelectorAll(strategy.selector)).find(el => {
+          if (strategy.text !== undefined) {
+            const text = (el.textContent || "").trim();
+            if (strategy.exact ? text !== strategy.text : !text.includes(strategy.text)) {
+              return false;
+            }
+          }
+          return !strategy.filter || strategy.filter(el);
+        }) || null;
+      }
+    } catch (error) {
+      console.warn("[Logic] Locator strategy failed:", strategy, error);
+    }
+
+    if (element) return element;
+  }
+
+  return null;
+}
+
+/**
+ * Execute a feature descriptor: locate, probe, activate and verify
+ * @param {object} feature - Feature descriptor
+ * @param {AIPlatformHandler} handler - Handler running the feature
+ * @param {boolean} [target=true] - Whether the feature should end up on or off
+ * @returns {Promise<{id: string, label: string, status: string, enabled: boolean, error?: string}>}
+ *   status is one of "already-enabled", "enabled", "already-disabled", "disabled",
+ *   "skipped", "unsupported", "not-found", "failed", "error"
+ */
+async function runFeature(feature, handler, target = true) {
+  const result = (status, enabled, error) => ({
+    id: feature.id,
+    label: feature.label || feature.id,
+    status,
+    enabled,
+    ...(error ? { error } : {}),
+    checkedAt: Date.now()
+  });
+
+  try {
+    if (feature.when && !feature.when(handler, target)) {
+      return result("skipped", false, "Precondition not met");
+    }
+
+    const element = locateElement(feature.locate, handler);
+    const state = !!(await feature.probe(element, handler));
+
+    if (state === target) {
+      return result(target ? "already-enabled" : "already-disabled", state);
+    }
+
+    if (!target && feature.reversible === false && !feature.deactivate) {
+      return result("unsupported", state, "Feature can't be turned off");
+    }
+
+    if (!element) {
+      return result("not-found", state, "Control not found");
+    }
+
+    const click = async (el) => simulateClick(el);
+    const action = target
+      ? feature.activate || click
+      : feature.deactivate || feature.activate || click;
+    if ((await action(element, handler)) === false) {
+      return result("failed", state, target ? "Activation failed" : "Deactivation failed");
+    }
+
+    await waitFor(feature.settleDelay ?? 300);
+
+    const verify = feature.verify || feature.probe;
+    if (!!(await verify(element, handler)) === target) {
+      console.log(`[${handler.platform}] ${target ? "Enabled" : "Disabled"} ${feature.label || feature.id}`);
+      return result(target ? "enabled" : "disabled", target);
+    }
+
+    return result("failed", state, "State did not change after activation");
+  } catch (error) {
+    console.warn(`[${handler.platform}] Feature "${feature.id}" failed:`, error);
+    return result("error", false, error.message);
+  }
+}
+
+/**
+ * Read a feature's current state without changing it
+ * @param {object} feature - Feature descriptor
+ * @param {AIPlatformHandler} handler - Handler owning the feature
+ * @returns {Promise<{id: string, label: string, found: boolean, enabled: boolean|null, applicable: boolean, reversible: boolean, error?: string}>}
+ */
+async function probeFeature(feature, handler) {
+  const status = {
+    id: feature.id,
+    label: feature.label || feature.id,
+    found: false,
+    enabled: null,
+    applicable: true,
+    reversible: feature.reversible !== false || !!feature.deactivate
+  };
+
+  try {
+    status.applicable = !feature.when || !!feature.when(handler, true);
+    const element = locateElement(feature.locate, handler);
+    status.found = !!element;
+    status.enabled = !!(await feature.probe(element, handler));
+  } catch (error) {
+    status.error = error.message;
+  }
+
+  return status;
+}
+
+/**
+ * Whether a feature result means the feature is in place
+ * @param {object} result - Result from runFeature()
+ * @returns {boolean}
+ */
+function isFeatureResultOk(result) {
+  return !!result && [
+    "enabled", "already-enabled", "disabled", "already-disabled", "left-alone"
+  ].includes(result.status);
+}
+
+// ============================================================================
+// Model Picker
+// ============================================================================
+
+/*
+ * Model picker format - one per handler (this.modelPicker):
+ *
+ *   {
+ *     locate: [strategy, ...],                 // The control that opens the model menu
+ *     options: "css selector",                 // Menu entries once the menu is open
+ *     readActive: (handler) => string|null,    // Name of the active model
+ *     select: async (candidate, handler) => boolean|null,  // Optional custom selection
+ *     settleDelay: 500                         // ms after opening the menu / picking
+ *   }
+ *
+ * A custom select() returns true when it switched, false on failure and
+ * null when the candidate isn't offered.
+ */
+
+/**
+ * Select the first available model out of a list of candidates
+ * @param {object} picker - Model picker
+ * @param {string[]} candidates - Names or "/pattern/flags", first choice first
+ * @param {AIPlatformHandler} handler - Handler running the picker
+ * @returns {Promise<{status: string, model: string|null, requested: string[], error?: string}>}
+ *   status is one of "already-active", "selected", "unavailable", "not-found", "failed", "error"
+ */
+async function selectModel(picker, candidates, handler) {
+  const settleDelay = picker.settleDelay ?? 500;
+  const result = async (status, error) => ({
+    status,
+    model: await handler.getActiveModel(),
+    requested: candidates,
+    ...(error ? { error } : {}),
+    checkedAt: Date.now()
+  });
+
+  try {
+    const active = await handler.getActiveModel();
+    if (ModelPreferences.matches(active, candidates[0])) {
+      return result("already-active");
+    }
+
+    if (picker.select) {
+      for (const candidate of candidates) {
+        const selected = await picker.select(candidate, handler);
+        if (selected === null) continue;
+        await waitFor(settleDelay);
+        return result(selected ? "selected" : "failed", selected ? undefined : `Could not select "${candidate}"`);
+      }
+      return result("unavailable", "None of the preferred models is offered");
+    }
+
+    const menuButton = locateElement(picker.locate, handler);
+    if (!menuButton) {
+      return result("not-found", "Model menu not found");
+    }
+
+    simulateClick(menuButton);
+    await waitFor(settleDelay);
+
+    const options = Array.from(document.querySelectorAll(picker.options))
+      .filter(option => (option.textContent || "").trim() !== "");
+
+    for (const candidate of candidates) {
+      const option = options.find(el => ModelPreferences.matches(el.textContent.trim(), candidate));
+      if (!option) continue;
+
+      if (ModelPreferences.matches(active, candidate)) {
+        // Best available choice is already active, just close the menu
+        simulateClick(document.body);
+        return result("already-active");
+      }
+
+      simulateClick(option);
+      await waitFor(settleDelay);
+      console.log(`[${handler.platform}] Selected model matching "${candidate}"`);
+      return result("selected");
+    }
+
+    simulateClick(document.body);
+    return result("unavailable", "None of the preferred models is offered");
+  } catch (error) {
+    console.warn(`[${handler.platform}] Model selection failed:`, error);
+    return result("error", error.message);
+  }
+}
+
+/**
+ * Whether a model selection result should not be retried
+ * @param {object} result - Result from selectModel()
+ * @returns {boolean}
+ */
+function isModelResultFinal(result) {
+  return ["already-active", "selected", "unavailable"].includes(result.status);
 }
 
 // Make AIPlatformHandler available globally
 window.AIPlatformHandler = AIPlatformHandler;
+window.FeatureProbes = FeatureProbes;
 
 // ============================================================================
 // Handler Registry
@@ -61,12 +869,20 @@ const platformHandlers = new Map();
 
 /**
  * Register a platform handler
- * @param {string} domain - The domain this handler is for
+ * The handler declares its domains and URL patterns through its config;
+ * logic.js decides when to start, re-run and clean it up
  * @param {AIPlatformHandler} handler - The handler instance
  */
-function registerPlatformHandler(domain, handler) {
-  platformHandlers.set(domain, handler);
-  console.log(`[Logic] Registered handler for ${domain}`);
+function registerPlatformHandler(handler) {
+  for (const domain of handler.domains) {
+    platformHandlers.set(domain, handler);
+  }
+  console.log(`[Logic] Registered handler for ${handler.domains.join(", ")}`);
+
+  // Start right away if this is the handler for the page we're on
+  if (handler.matchesHostname(window.location.hostname)) {
+    whenDomReady(runHandlerForCurrentPage);
+  }
 }
 
 /**
@@ -158,26 +974,59 @@ function detectPlatform() {
 
 let currentUrl = window.location.href;
 let currentHandler = null;
+let lastRunUrl = null;
+
+/**
+ * Start, re-run or clean up the handler for the current URL
+ * Features run exactly once per navigation, and only in the top frame
+ */
+function runHandlerForCurrentPage() {
+  if (window !== window.top) return;
+
+  const href = window.location.href;
+  const handler = getHandlerForCurrentPage();
+
+  if (handler && handler === currentHandler && href === lastRunUrl) {
+    return;
+  }
+
+  if (currentHandler) {
+    currentHandler.cleanup();
+    currentHandler = null;
+  }
+
+  lastRunUrl = href;
+  if (!handler) return;
+
+  currentHandler = handler;
+  if (handler.isValidPage()) {
+    handler.initialize();
+  } else {
+    console.log(`[Logic] ${handler.platform} has no features on this page`);
+  }
+}
+
+/**
+ * Clean up and start the current page's handler again
+ * Used by the "re-run automation" shortcut
+ * @returns {boolean} true if the handler's automation was started
+ */
+function rerunHandlerForCurrentPage() {
+  lastRunUrl = null;
+  runHandlerForCurrentPage();
+  return !!currentHandler && currentHandler.isValidPage();
+}
 
 /**
  * Handle URL changes (for SPAs)
  */
 function handleUrlChange() {
   const newUrl = window.location.href;
-  
+
   if (newUrl !== currentUrl) {
     console.log("[Logic] URL changed:", newUrl);
     currentUrl = newUrl;
-    
-    // Re-initialize handler if needed
-    const handler = getHandlerForCurrentPage();
-    if (handler && handler !== currentHandler) {
-      if (currentHandler) {
-        currentHandler.cleanup();
-      }
-      currentHandler = handler;
-      handler.init();
-    }
+    runHandlerForCurrentPage();
   }
 }
 
@@ -196,6 +1045,7 @@ history.replaceState = function(...args) {
 };
 
 window.addEventListener("popstate", handleUrlChange);
+window.addEventListener("hashchange", handleUrlChange);
 
 // ============================================================================
 // DOM Mutation Observer
@@ -215,9 +1065,12 @@ function startMutationObserver() {
     // Debounce to avoid excessive processing
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
-      const handler = getHandlerForCurrentPage();
-      if (handler && typeof handler.onDomChange === "function") {
-        handler.onDomChange(mutations);
+      // The history patch above only sees calls made from this content
+      // script's world, so SPA navigations are also caught here
+      handleUrlChange();
+
+      if (currentHandler && typeof currentHandler.onDomChange === "function") {
+        currentHandler.onDomChange(mutations);
       }
     }, 100);
   });
@@ -247,28 +1100,31 @@ function stopMutationObserver() {
 // Initialization
 // ============================================================================
 
+/**
+ * Run a callback once the DOM is ready
+ * @param {Function} callback
+ */
+function whenDomReady(callback) {
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", callback, { once: true });
+  } else {
+    callback();
+  }
+}
+
 /**
  * Initialize the extension
+ * Handlers are started as they register (see registerPlatformHandler),
+ * so nothing here waits for the handler scripts to load
  */
-async function initExtension() {
+function initExtension() {
   const platform = detectPlatform();
-  
+
   if (platform) {
     console.log(`[Logic] Detected platform: ${platform.name}`);
-    
+
     // Start mutation observer
     startMutationObserver();
-    
-    // Wait a bit for other scripts to load and register handlers
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Get and initialize the handler
-    currentHandler = getHandlerForCurrentPage();
-    if (currentHandler) {
-      await currentHandler.init();
-    } else {
-      console.log("[Logic] No handler registered for this platform yet");
-    }
   } else {
     console.log("[Logic] Not on a supported platform");
   }
@@ -286,6 +1142,14 @@ function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Wait for specified milliseconds (alias of wait used by platform handlers)
+ * @param {number} ms - Milliseconds to wait
+ */
+function waitFor(ms) {
+  return wait(ms);
+}
+
 /**
  * Wait for an element to appear
  * @param {string} selector - CSS selector
@@ -341,40 +1205,207 @@ async function clickElement(selector, retries = 3) {
 }
 
 /**
- * Simulate typing in an input
+ * Simulate a real user click on an element
+ * Dispatches the pointer/mouse sequence frameworks listen for, then click()
+ * @param {Element} element - Element to click
+ * @returns {boolean} Whether the element was clicked
+ */
+function simulateClick(element) {
+  if (!element) return false;
+
+  try {
+    const options = { bubbles: true, cancelable: true, view: window };
+    element.dispatchEvent(new PointerEvent("pointerdown", options));
+    element.dispatchEvent(new MouseEvent("mousedown", options));
+    element.dispatchEvent(new PointerEvent("pointerup", options));
+    element.dispatchEvent(new MouseEvent("mouseup", options));
+    element.click();
+    return true;
+  } catch (e) {
+    console.warn("[Logic] Simulated click failed:", e);
+    return false;
+  }
+}
+
+/**
+ * Append text to an input, textarea or contenteditable editor
+ * Uses the native value setter so React-controlled inputs see the change
  * @param {Element} element - Input element
+ * @param {string} text - Text to append
+ */
+function insertText(element, text) {
+  if (element.isContentEditable) {
+    document.execCommand("insertText", false, text);
+  } else {
+    const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), "value");
+    if (setter && setter.set) {
+      setter.set.call(element, element.value + text);
+    } else {
+      element.value += text;
+    }
+  }
+  element.dispatchEvent(new InputEvent("input", { bubbles: true, data: text }));
+}
+
+/**
+ * Simulate typing in an input
+ * @param {Element} element - Input, textarea or contenteditable element
  * @param {string} text - Text to type
+ * @param {number|null} [delay] - ms between characters (random 50-100 by
+ *   default, 0 inserts the whole text at once)
  */
-async function simulateTyping(element, text) {
+async function simulateTyping(element, text, delay = null) {
   element.focus();
-  
-  for (const char of text) {
-    element.value += char;
-    element.dispatchEvent(new InputEvent("input", { bubbles: true, data: char }));
-    await wait(50 + Math.random() * 50);
+
+  if (delay === 0) {
+    insertText(element, text);
+  } else {
+    for (const char of text) {
+      insertText(element, char);
+      await wait(delay ?? 50 + Math.random() * 50);
+    }
   }
-  
+
   element.dispatchEvent(new Event("change", { bubbles: true }));
 }
 
 // Export utilities globally
 window.ExtensionUtils = {
   wait,
+  waitFor,
   waitForElement,
   clickElement,
+  simulateClick,
   simulateTyping
 };
 
+// ============================================================================
+// Runtime Messages - Handle requests from the popup and background script
+// ============================================================================
+
+browser.runtime.onMessage.addListener((message) => {
+  // Only the top frame's handler answers (content scripts run in all frames)
+  if (window !== window.top) return;
+
+  switch (message.action) {
+    // Report the model that is active on the page
+    case "getActiveModel":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return currentHandler.getActiveModel().then(model => ({
+        success: true,
+        platform: currentHandler.platform,
+        model,
+        result: currentHandler.modelResult
+      }));
+
+    // Report which features were tried, which are on and why any failed
+    case "getFeatureStatus":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return currentHandler.getFeatureStatus().then(features => ({
+        success: true,
+        platform: currentHandler.platform,
+        validPage: currentHandler.isValidPage(),
+        completed: currentHandler.completed,
+        features
+      }));
+
+    // Turn one feature on or off now ("apply now" / "turn off" in the popup)
+    case "applyFeature":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return (message.enabled === false
+        ? currentHandler.disableFeature(message.featureId)
+        : currentHandler.enableFeature(message.featureId))
+        .then(result => ({
+          success: isFeatureResultOk(result) || result.status === "already-active" || result.status === "selected",
+          result,
+          ...(result.error ? { error: result.error } : {})
+        }))
+        .catch(error => ({ success: false, error: error.message }));
+
+    // Flip one feature (popup, keyboard shortcuts)
+    case "toggleFeature":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return currentHandler.toggleFeature(message.featureId)
+        .then(result => ({
+          success: isFeatureResultOk(result),
+          result,
+          ...(result.error ? { error: result.error } : {})
+        }))
+        .catch(error => ({ success: false, error: error.message }));
+
+    // Flip the platform's thinking feature (keyboard shortcut)
+    case "toggleThinking":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return currentHandler.toggleThinking()
+        .then(result => ({
+          success: isFeatureResultOk(result),
+          result,
+          ...(result.error ? { error: result.error } : {})
+        }))
+        .catch(error => ({ success: false, error: error.message }));
+
+    // Clean up and run the handler's automation again (keyboard shortcut)
+    case "rerunAutomation":
+      if (!currentHandler && !getHandlerForCurrentPage()) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return Promise.resolve(rerunHandlerForCurrentPage()
+        ? { success: true }
+        : { success: false, error: "No automation on this page" });
+
+    // Put the caret in the prompt input (keyboard shortcut)
+    case "focusChatInput":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return Promise.resolve(currentHandler.focusChatInput()
+        ? { success: true }
+        : { success: false, error: "Chat input not found" });
+
+    // Type text into the chat input ("Send selection to..." menu)
+    case "insertPrompt": {
+      const handler = currentHandler || getHandlerForCurrentPage();
+      if (!handler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return handler.insertPrompt(message.text, !!message.submit)
+        .catch(error => ({ success: false, error: error.message }));
+    }
+
+    // Turn off everything that can be turned off
+    case "disableFeatures":
+      if (!currentHandler) {
+        return Promise.resolve({ success: false, error: "No handler on this page" });
+      }
+      return currentHandler.disableFeatures()
+        .then(results => ({
+          success: results.every(isFeatureResultOk),
+          results
+        }))
+        .catch(error => ({ success: false, error: error.message }));
+
+    default:
+      // Not for us - let other listeners answer
+      return;
+  }
+});
+
 // ============================================================================
 // Start Extension
 // ============================================================================
 
 // Initialize when DOM is ready
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initExtension);
-} else {
-  initExtension();
-}
+whenDomReady(initExtension);
 
 // Cleanup on page unload
 window.addEventListener("beforeunload", () => {
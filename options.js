@@ -0,0 +1,651 @@
+// options.js - Options page for AI Thinking Mode extension
+
+"use strict";
+
+// ============================================================================
+// DOM Elements
+// ============================================================================
+
+const elements = {
+  featurePreferences: document.getElementById("featurePreferences"),
+  modelPreferences: document.getElementById("modelPreferences"),
+  saveModelsBtn: document.getElementById("saveModelsBtn"),
+  shortcutList: document.getElementById("shortcutList"),
+  changeShortcutsBtn: document.getElementById("changeShortcutsBtn"),
+  sessionWarningsEnabled: document.getElementById("sessionWarningsEnabled"),
+  sessionWarningHours: document.getElementById("sessionWarningHours"),
+  saveSessionWarningsBtn: document.getElementById("saveSessionWarningsBtn"),
+  cleanupRuleList: document.getElementById("cleanupRuleList"),
+  ruleName: document.getElementById("ruleName"),
+  rulePlatform: document.getElementById("rulePlatform"),
+  ruleStoreLabel: document.getElementById("ruleStoreLabel"),
+  ruleStore: document.getElementById("ruleStore"),
+  ruleTrigger: document.getElementById("ruleTrigger"),
+  ruleTime: document.getElementById("ruleTime"),
+  ruleMinutes: document.getElementById("ruleMinutes"),
+  ruleAction: document.getElementById("ruleAction"),
+  ruleCookies: document.getElementById("ruleCookies"),
+  ruleSiteDataHint: document.getElementById("ruleSiteDataHint"),
+  addRuleBtn: document.getElementById("addRuleBtn"),
+  cleanupLog: document.getElementById("cleanupLog"),
+  clearCleanupLogBtn: document.getElementById("clearCleanupLogBtn"),
+  resetPreferencesBtn: document.getElementById("resetPreferencesBtn"),
+  status: document.getElementById("status"),
+  defaultProfile: document.getElementById("defaultProfile"),
+  profileSelect: document.getElementById("profileSelect"),
+  newProfileBtn: document.getElementById("newProfileBtn"),
+  deleteProfileBtn: document.getElementById("deleteProfileBtn"),
+  saveProfileBtn: document.getElementById("saveProfileBtn"),
+  profileName: document.getElementById("profileName"),
+  profileModel: document.getElementById("profileModel"),
+  profileTemperature: document.getElementById("profileTemperature"),
+  profileTopP: document.getElementById("profileTopP"),
+  profileThinkingBudget: document.getElementById("profileThinkingBudget"),
+  profileMediaResolution: document.getElementById("profileMediaResolution"),
+  profileOutputLength: document.getElementById("profileOutputLength"),
+  profileManageStopSequences: document.getElementById("profileManageStopSequences"),
+  profileStopSequences: document.getElementById("profileStopSequences"),
+  profileTools: document.querySelectorAll("#profileForm select[data-tool]")
+};
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+let statusTimer = null;
+
+function showStatus(message, type = "success") {
+  elements.status.textContent = message;
+  elements.status.classList.toggle("error", type === "error");
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => { elements.status.textContent = ""; }, 2000);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// ============================================================================
+// Feature Preferences
+// ============================================================================
+
+/**
+ * Render one section per platform with an on/off/leave-alone choice per feature
+ */
+async function renderFeaturePreferences() {
+  const sections = [];
+
+  for (const [hostname, platform] of Object.entries(FEATURE_CATALOG)) {
+    const modes = await Preferences.getPlatformModes(hostname);
+
+    const rows = Object.entries(platform.features).map(([featureId, feature]) => `
+      <div class="feature-row">
+        <span>${escapeHtml(feature.label)}</span>
+        <div class="mode-group">
+          ${feature.modes.map(mode => `
+            <label>
+              <input type="radio"
+                     name="${escapeHtml(hostname)}:${escapeHtml(featureId)}"
+                     data-hostname="${escapeHtml(hostname)}"
+                     data-feature="${escapeHtml(featureId)}"
+                     value="${mode}"
+                     ${modes[featureId] === mode ? "checked" : ""}>
+              <span>${FEATURE_MODES[mode]}</span>
+            </label>
+          `).join("")}
+        </div>
+      </div>
+    `).join("");
+
+    sections.push(`
+      <div class="section">
+        <div class="section-title">${escapeHtml(platform.name)} · ${escapeHtml(hostname)}</div>
+        ${rows}
+      </div>
+    `);
+  }
+
+  elements.featurePreferences.innerHTML = sections.join("");
+}
+
+/**
+ * Save a feature mode as soon as it is picked
+ */
+async function onModeChange(e) {
+  const input = e.target;
+  if (input.type !== "radio") return;
+
+  try {
+    await Preferences.setFeatureMode(input.dataset.hostname, input.dataset.feature, input.value);
+    showStatus("✓ Saved");
+  } catch (error) {
+    showStatus(`✗ ${error.message}`, "error");
+  }
+}
+
+async function resetPreferences() {
+  if (!confirm("Reset every feature to its default choice?")) {
+    return;
+  }
+
+  await Preferences.reset();
+  await renderFeaturePreferences();
+  showStatus("✓ Defaults restored");
+}
+
+// ============================================================================
+// Preferred Models
+// ============================================================================
+
+/**
+ * Render one model list per platform that has a model picker
+ */
+async function renderModelPreferences() {
+  const rows = [];
+
+  for (const [hostname, platform] of Object.entries(FEATURE_CATALOG)) {
+    if (!platform.features.model) continue;
+
+    const models = await ModelPreferences.get(hostname);
+    rows.push(`
+      <label for="models-${escapeHtml(hostname)}">${escapeHtml(platform.name)}</label>
+      <textarea id="models-${escapeHtml(hostname)}"
+                data-hostname="${escapeHtml(hostname)}"
+                placeholder="Keep whatever model is selected">${escapeHtml(models.join("\n"))}</textarea>
+    `);
+  }
+
+  elements.modelPreferences.innerHTML = rows.join("");
+}
+
+async function saveModelPreferences() {
+  try {
+    for (const textarea of elements.modelPreferences.querySelectorAll("textarea")) {
+      const models = textarea.value.split("\n").map(line => line.trim()).filter(Boolean);
+      await ModelPreferences.set(textarea.dataset.hostname, models);
+    }
+    showStatus("✓ Models saved");
+  } catch (error) {
+    showStatus(`✗ ${error.message}`, "error");
+  }
+}
+
+// ============================================================================
+// Keyboard Shortcuts
+// ============================================================================
+
+/**
+ * List the extension's commands with their current key bindings
+ */
+async function renderShortcuts() {
+  const commands = await browser.commands.getAll();
+
+  elements.shortcutList.innerHTML = commands
+    .filter(command => command.description)
+    .map(command => `
+      <span>${escapeHtml(command.description)}</span>
+      <kbd>${escapeHtml(command.shortcut || "Not set")}</kbd>
+    `).join("");
+}
+
+/**
+ * Open the browser's own shortcut editor
+ * Firefox keeps it in about:addons, which extensions can't open on older versions
+ */
+async function changeShortcuts() {
+  try {
+    if (browser.commands.openShortcutSettings) {
+      await browser.commands.openShortcutSettings();
+    } else {
+      await browser.tabs.create({ url: "chrome://extensions/shortcuts" });
+    }
+  } catch (error) {
+    showStatus("Open about:addons → ⚙ → Manage Extension Shortcuts", "error");
+  }
+}
+
+// ============================================================================
+// Session Expiry Warnings
+// ============================================================================
+
+async function renderSessionWarnings() {
+  const { settings } = await browser.runtime.sendMessage({ action: "getSessionWarningSettings" });
+  elements.sessionWarningsEnabled.checked = settings.enabled;
+  elements.sessionWarningHours.value = settings.windowHours;
+}
+
+async function saveSessionWarnings() {
+  const result = await browser.runtime.sendMessage({
+    action: "setSessionWarningSettings",
+    settings: {
+      enabled: elements.sessionWarningsEnabled.checked,
+      windowHours: Number(elements.sessionWarningHours.value)
+    }
+  });
+  elements.sessionWarningHours.value = result.settings.windowHours;
+  showStatus("✓ Warnings saved");
+}
+
+// ============================================================================
+// Cleanup Rules
+// ============================================================================
+
+let cleanupRules = [];
+// Container names by cookieStoreId (Firefox only)
+let ruleStoreNames = {};
+
+const CLEANUP_ACTION_LABELS = {
+  deleteCookies: "delete",
+  keepOnly: "keep only",
+  deleteAll: "delete all cookies",
+  clearSiteData: "clear site data"
+};
+
+const CLEANUP_REASON_LABELS = {
+  schedule: "scheduled",
+  lastTabClosed: "last tab closed",
+  manual: "run now"
+};
+
+/**
+ * One-line summary of a rule, e.g. "Every day at 03:00 · delete __cf_bm on claude.ai"
+ * @param {object} rule
+ * @returns {string}
+ */
+function describeCleanupRule(rule) {
+  const when = {
+    daily: `Every day at ${rule.trigger.time}`,
+    interval: `Every ${rule.trigger.minutes} min`,
+    lastTabClosed: "When the last tab closes"
+  }[rule.trigger.type];
+  const names = rule.action.names ? ` ${rule.action.names.join(", ")}` : "";
+  const store = rule.storeId ? ` in ${ruleStoreNames[rule.storeId] || rule.storeId}` : "";
+  return `${when} · ${CLEANUP_ACTION_LABELS[rule.action.type]}${names} on ${rule.platform}${store}`;
+}
+
+/**
+ * Offer the Firefox containers as the store a rule cleans
+ * Without containers the row stays hidden and rules use the default store
+ */
+async function setupRuleStores() {
+  if (!browser.contextualIdentities) return;
+
+  let identities = [];
+  try {
+    identities = await browser.contextualIdentities.query({});
+  } catch (error) {
+    // Containers disabled in about:preferences
+    return;
+  }
+  if (identities.length === 0) return;
+
+  ruleStoreNames = Object.fromEntries(identities.map(identity => [identity.cookieStoreId, identity.name]));
+  elements.ruleStore.innerHTML = `<option value="">No container</option>` + identities
+    .map(identity => `<option value="${escapeHtml(identity.cookieStoreId)}">${escapeHtml(identity.name)}</option>`)
+    .join("");
+  elements.ruleStoreLabel.hidden = false;
+  elements.ruleStore.hidden = false;
+  renderCleanupRules();
+}
+
+// runtime.getBrowserInfo() only exists in Firefox
+const IS_FIREFOX = typeof browser.runtime.getBrowserInfo === "function";
+
+/**
+ * Show only the form fields the chosen trigger and action use
+ * Firefox needs an open tab of the site to clear its site data, so that
+ * action isn't offered for "last tab closed" rules there
+ */
+function updateRuleForm() {
+  const siteDataOption = elements.ruleAction.querySelector('option[value="clearSiteData"]');
+  siteDataOption.disabled = IS_FIREFOX && elements.ruleTrigger.value === "lastTabClosed";
+  elements.ruleSiteDataHint.hidden = !siteDataOption.disabled;
+  if (siteDataOption.disabled && elements.ruleAction.value === "clearSiteData") {
+    elements.ruleAction.value = "deleteAll";
+  }
+
+  document.querySelectorAll("[data-trigger]").forEach(field => {
+    field.hidden = field.dataset.trigger !== elements.ruleTrigger.value;
+  });
+  document.querySelectorAll("[data-action]").forEach(field => {
+    field.hidden = !field.dataset.action.split(" ").includes(elements.ruleAction.value);
+  });
+}
+
+async function renderCleanupRules() {
+  const result = await browser.runtime.sendMessage({ action: "getCleanupRules" });
+  cleanupRules = result.rules;
+
+  if (elements.rulePlatform.options.length === 0) {
+    elements.rulePlatform.innerHTML = result.platforms
+      .map(platform => `<option value="${escapeHtml(platform)}">${escapeHtml(platform)}</option>`)
+      .join("");
+  }
+
+  elements.cleanupRuleList.innerHTML = cleanupRules.length === 0
+    ? `<div class="subsection-title">No rules yet.</div>`
+    : cleanupRules.map(rule => `
+      <div class="feature-row" data-rule-id="${escapeHtml(rule.id)}">
+        <span>
+          ${escapeHtml(rule.name)}
+          <small>${escapeHtml(describeCleanupRule(rule))}</small>
+        </span>
+        <div class="btn-group">
+          <label class="checkbox-label">
+            <input type="checkbox" class="rule-enabled" ${rule.enabled ? "checked" : ""}>
+            Enabled
+          </label>
+          <button class="run-rule-btn">Run now</button>
+          <button class="delete-rule-btn">Delete</button>
+        </div>
+      </div>
+    `).join("");
+}
+
+/**
+ * Store the rule list; the background script validates and reschedules it
+ * @param {object[]} rules
+ * @returns {Promise<boolean>} Whether it was saved
+ */
+async function saveCleanupRules(rules) {
+  const result = await browser.runtime.sendMessage({ action: "saveCleanupRules", rules });
+  if (!result.success) {
+    showStatus(`✗ ${result.error}`, "error");
+    return false;
+  }
+  await renderCleanupRules();
+  return true;
+}
+
+async function addCleanupRule() {
+  const rule = {
+    name: elements.ruleName.value,
+    platform: elements.rulePlatform.value,
+    storeId: elements.ruleStore.value || null,
+    trigger: {
+      type: elements.ruleTrigger.value,
+      time: elements.ruleTime.value,
+      minutes: Number(elements.ruleMinutes.value)
+    },
+    action: {
+      type: elements.ruleAction.value,
+      names: elements.ruleCookies.value.split("\n")
+    }
+  };
+  if (rule.action.type !== "deleteCookies" && rule.action.type !== "keepOnly") {
+    delete rule.action.names;
+  }
+
+  if (await saveCleanupRules([...cleanupRules, rule])) {
+    elements.ruleName.value = "";
+    elements.ruleCookies.value = "";
+    showStatus("✓ Rule added");
+  }
+}
+
+/**
+ * Run now / Delete buttons of a rule
+ */
+async function onCleanupRuleClick(e) {
+  const row = e.target.closest("[data-rule-id]");
+  if (!row || e.target.tagName !== "BUTTON") return;
+  const ruleId = row.dataset.ruleId;
+
+  if (e.target.classList.contains("delete-rule-btn")) {
+    if (await saveCleanupRules(cleanupRules.filter(rule => rule.id !== ruleId))) {
+      showStatus("✓ Rule deleted");
+    }
+  } else if (e.target.classList.contains("run-rule-btn")) {
+    const result = await browser.runtime.sendMessage({ action: "runCleanupRule", ruleId });
+    showStatus(result.success ? "✓ Rule ran" : `✗ ${result.error}`, result.success ? "success" : "error");
+  }
+}
+
+async function onCleanupRuleToggle(e) {
+  if (!e.target.classList.contains("rule-enabled")) return;
+  const ruleId = e.target.closest("[data-rule-id]").dataset.ruleId;
+
+  const rules = cleanupRules.map(rule =>
+    rule.id === ruleId ? { ...rule, enabled: e.target.checked } : rule
+  );
+  if (await saveCleanupRules(rules)) {
+    showStatus(e.target.checked ? "✓ Rule enabled" : "✓ Rule disabled");
+  }
+}
+
+/**
+ * List recent runs with what each one removed
+ */
+async function renderCleanupLog() {
+  const { log } = await browser.runtime.sendMessage({ action: "getCleanupLog" });
+
+  elements.cleanupLog.innerHTML = log.length === 0
+    ? "No runs yet."
+    : log.map(entry => {
+      const removed = entry.siteData.length > 0
+        ? `cleared ${entry.siteData.join(", ")}`
+        : `removed ${entry.removed.length} cookies${entry.removed.length ? `: ${entry.removed.join(", ")}` : ""}`;
+      return `
+        <div class="${entry.error ? "error" : ""}">
+          ${escapeHtml(new Date(entry.at).toLocaleString())} ·
+          ${escapeHtml(entry.ruleName)} (${CLEANUP_REASON_LABELS[entry.reason]}) ·
+          ${escapeHtml(entry.error ? `failed: ${entry.error}` : removed)}
+        </div>
+      `;
+    }).join("");
+}
+
+async function clearCleanupLog() {
+  await browser.runtime.sendMessage({ action: "clearCleanupLog" });
+  await renderCleanupLog();
+}
+
+// ============================================================================
+// Run-Settings Profiles
+// ============================================================================
+
+let profiles = {};
+
+/**
+ * Read an optional number field (empty means "leave alone")
+ */
+function readNumber(input) {
+  const value = input.value.trim();
+  return value === "" ? null : Number(value);
+}
+
+function writeNumber(input, value) {
+  input.value = value === null || value === undefined ? "" : String(value);
+}
+
+/**
+ * Fill the profile dropdowns and show the selected profile
+ * @param {string} [selectedId] - Profile to show in the editor
+ */
+async function renderProfiles(selectedId) {
+  profiles = await RunSettingsProfiles.getAll();
+  const selection = await RunSettingsProfiles.getSelection();
+
+  const options = Object.entries(profiles).map(([id, profile]) =>
+    `<option value="${escapeHtml(id)}">${escapeHtml(profile.name || id)}</option>`
+  ).join("");
+
+  elements.defaultProfile.innerHTML = options;
+  elements.defaultProfile.value = profiles[selection.default] ? selection.default : "default";
+
+  elements.profileSelect.innerHTML = options;
+  elements.profileSelect.value = profiles[selectedId] ? selectedId : elements.defaultProfile.value;
+
+  showProfile(elements.profileSelect.value);
+}
+
+/**
+ * Load a profile into the editor form
+ * @param {string} id - Profile id
+ */
+function showProfile(id) {
+  const profile = profiles[id];
+  if (!profile) return;
+
+  elements.profileName.value = profile.name || id;
+  elements.profileModel.value = profile.model || "";
+  writeNumber(elements.profileTemperature, profile.temperature);
+  writeNumber(elements.profileTopP, profile.topP);
+  writeNumber(elements.profileThinkingBudget, profile.thinkingBudget);
+  elements.profileMediaResolution.value = profile.mediaResolution || "";
+  writeNumber(elements.profileOutputLength, profile.outputLength);
+
+  const manageStopSequences = Array.isArray(profile.stopSequences);
+  elements.profileManageStopSequences.checked = manageStopSequences;
+  elements.profileStopSequences.value = manageStopSequences ? profile.stopSequences.join("\n") : "";
+  elements.profileStopSequences.disabled = !manageStopSequences;
+
+  const tools = profile.tools || {};
+  elements.profileTools.forEach(select => {
+    const value = tools[select.dataset.tool];
+    select.value = value === true ? "on" : value === false ? "off" : "";
+  });
+
+  elements.deleteProfileBtn.textContent = DEFAULT_RUN_SETTINGS_PROFILES[id] ? "Revert" : "Delete";
+}
+
+/**
+ * Build a profile object from the editor form
+ * @returns {object}
+ */
+function readProfileForm() {
+  const thinkingBudget = elements.profileThinkingBudget.value.trim();
+  if (thinkingBudget !== "" && thinkingBudget !== "auto" && !(Number(thinkingBudget) > 0)) {
+    throw new Error("Thinking budget must be a token count or \"auto\"");
+  }
+
+  const tools = {};
+  elements.profileTools.forEach(select => {
+    tools[select.dataset.tool] = select.value === "on" ? true : select.value === "off" ? false : null;
+  });
+
+  return {
+    name: elements.profileName.value.trim() || elements.profileSelect.value,
+    model: elements.profileModel.value.trim() || null,
+    temperature: readNumber(elements.profileTemperature),
+    topP: readNumber(elements.profileTopP),
+    thinkingBudget: thinkingBudget === "" ? null : thinkingBudget === "auto" ? "auto" : Number(thinkingBudget),
+    mediaResolution: elements.profileMediaResolution.value || null,
+    outputLength: readNumber(elements.profileOutputLength),
+    stopSequences: elements.profileManageStopSequences.checked
+      ? elements.profileStopSequences.value.split("\n").map(line => line.trim()).filter(Boolean)
+      : null,
+    tools
+  };
+}
+
+async function saveProfile() {
+  try {
+    const id = elements.profileSelect.value;
+    await RunSettingsProfiles.save(id, readProfileForm());
+    await renderProfiles(id);
+    showStatus("✓ Profile saved");
+  } catch (error) {
+    showStatus(`✗ ${error.message}`, "error");
+  }
+}
+
+async function newProfile() {
+  const name = prompt("Name of the new profile:");
+  if (!name || !name.trim()) return;
+
+  const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  if (!id || profiles[id]) {
+    showStatus("✗ A profile with that name already exists", "error");
+    return;
+  }
+
+  // Start from the profile currently shown in the editor
+  const profile = { ...readProfileForm(), name: name.trim() };
+  await RunSettingsProfiles.save(id, profile);
+  await renderProfiles(id);
+  showStatus("✓ Profile created");
+}
+
+async function deleteProfile() {
+  const id = elements.profileSelect.value;
+  const builtIn = !!DEFAULT_RUN_SETTINGS_PROFILES[id];
+  const question = builtIn
+    ? `Revert "${profiles[id].name}" to its built-in values?`
+    : `Delete "${profiles[id].name}"? Pages using it switch to the default profile.`;
+  if (!confirm(question)) return;
+
+  await RunSettingsProfiles.remove(id);
+  await renderProfiles(builtIn ? id : undefined);
+  showStatus(builtIn ? "✓ Profile reverted" : "✓ Profile deleted");
+}
+
+async function setDefaultProfile() {
+  await RunSettingsProfiles.setDefault(elements.defaultProfile.value);
+  showStatus("✓ Default profile saved");
+}
+
+/**
+ * Fill the fixed choice lists of the editor
+ */
+function setupProfileForm() {
+  elements.profileMediaResolution.innerHTML = '<option value="">Leave alone</option>' +
+    MEDIA_RESOLUTIONS.map(resolution =>
+      `<option value="${resolution}">${resolution}</option>`
+    ).join("");
+
+  elements.profileTools.forEach(select => {
+    select.innerHTML = `
+      <option value="">Leave alone</option>
+      <option value="on">On</option>
+      <option value="off">Off</option>
+    `;
+  });
+}
+
+// ============================================================================
+// Event Listeners
+// ============================================================================
+
+elements.featurePreferences.addEventListener("change", onModeChange);
+elements.resetPreferencesBtn.addEventListener("click", resetPreferences);
+elements.saveModelsBtn.addEventListener("click", saveModelPreferences);
+elements.changeShortcutsBtn.addEventListener("click", changeShortcuts);
+elements.saveSessionWarningsBtn.addEventListener("click", saveSessionWarnings);
+elements.ruleTrigger.addEventListener("change", updateRuleForm);
+elements.ruleAction.addEventListener("change", updateRuleForm);
+elements.addRuleBtn.addEventListener("click", addCleanupRule);
+elements.cleanupRuleList.addEventListener("click", onCleanupRuleClick);
+elements.cleanupRuleList.addEventListener("change", onCleanupRuleToggle);
+elements.clearCleanupLogBtn.addEventListener("click", clearCleanupLog);
+
+// Rules run in the background while the page is open
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.cleanupLog) {
+    renderCleanupLog();
+  }
+});
+elements.defaultProfile.addEventListener("change", setDefaultProfile);
+elements.profileSelect.addEventListener("change", () => showProfile(elements.profileSelect.value));
+elements.newProfileBtn.addEventListener("click", newProfile);
+elements.deleteProfileBtn.addEventListener("click", deleteProfile);
+elements.saveProfileBtn.addEventListener("click", saveProfile);
+elements.profileManageStopSequences.addEventListener("change", () => {
+  elements.profileStopSequences.disabled = !elements.profileManageStopSequences.checked;
+});
+
+// Initialize on load
+document.addEventListener("DOMContentLoaded", () => {
+  setupProfileForm();
+  renderFeaturePreferences();
+  renderModelPreferences();
+  renderShortcuts();
+  renderSessionWarnings();
+  updateRuleForm();
+  renderCleanupRules();
+  setupRuleStores();
+  renderCleanupLog();
+  renderProfiles();
+});
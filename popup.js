@@ -23,6 +23,13 @@ const SUPPORTED_PLATFORMS = [
 const elements = {
   currentDomain: document.getElementById("currentDomain"),
   platformStatus: document.getElementById("platformStatus"),
+  activeModel: document.getElementById("activeModel"),
+  containerRow: document.getElementById("containerRow"),
+  cookieStore: document.getElementById("cookieStore"),
+  featureSection: document.getElementById("featureSection"),
+  featureList: document.getElementById("featureList"),
+  featureOutput: document.getElementById("featureOutput"),
+  disableFeaturesBtn: document.getElementById("disableFeaturesBtn"),
   cookieName: document.getElementById("cookieName"),
   deleteSingleBtn: document.getElementById("deleteSingleBtn"),
   listCookiesBtn: document.getElementById("listCookiesBtn"),
@@ -32,8 +39,55 @@ const elements = {
   globalDataOption: document.getElementById("globalDataOption"),
   output: document.getElementById("output"),
   cookieList: document.getElementById("cookieList"),
+  cookieTools: document.getElementById("cookieTools"),
+  cookieSearch: document.getElementById("cookieSearch"),
+  cookieFilter: document.getElementById("cookieFilter"),
+  cookieSort: document.getElementById("cookieSort"),
+  newCookieBtn: document.getElementById("newCookieBtn"),
+  newCookieForm: document.getElementById("newCookieForm"),
+  createCookieBtn: document.getElementById("createCookieBtn"),
+  cookieFormat: document.getElementById("cookieFormat"),
+  exportCookiesBtn: document.getElementById("exportCookiesBtn"),
+  importCookiesBtn: document.getElementById("importCookiesBtn"),
+  importPanel: document.getElementById("importPanel"),
+  importText: document.getElementById("importText"),
+  importFile: document.getElementById("importFile"),
+  previewImportBtn: document.getElementById("previewImportBtn"),
+  importPreview: document.getElementById("importPreview"),
+  confirmImportGroup: document.getElementById("confirmImportGroup"),
+  confirmImportBtn: document.getElementById("confirmImportBtn"),
   reloadPageBtn: document.getElementById("reloadPageBtn"),
-  hardReloadBtn: document.getElementById("hardReloadBtn")
+  hardReloadBtn: document.getElementById("hardReloadBtn"),
+  openOptionsBtn: document.getElementById("openOptionsBtn"),
+  runSettingsSection: document.getElementById("runSettingsSection"),
+  runSettingsProfile: document.getElementById("runSettingsProfile"),
+  snapshotSection: document.getElementById("snapshotSection"),
+  keepLoginSection: document.getElementById("keepLoginSection"),
+  allowlistNames: document.getElementById("allowlistNames"),
+  saveAllowlistBtn: document.getElementById("saveAllowlistBtn"),
+  previewKeepLoginBtn: document.getElementById("previewKeepLoginBtn"),
+  keepLoginBtn: document.getElementById("keepLoginBtn"),
+  keepLoginList: document.getElementById("keepLoginList"),
+  keepLoginOutput: document.getElementById("keepLoginOutput"),
+  historySection: document.getElementById("historySection"),
+  historySessionOnly: document.getElementById("historySessionOnly"),
+  historyList: document.getElementById("historyList"),
+  clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+  storageSection: document.getElementById("storageSection"),
+  inspectStorageBtn: document.getElementById("inspectStorageBtn"),
+  storageList: document.getElementById("storageList"),
+  storageOutput: document.getElementById("storageOutput"),
+  tabList: document.getElementById("tabList"),
+  tabOutput: document.getElementById("tabOutput"),
+  workspaceName: document.getElementById("workspaceName"),
+  saveWorkspaceBtn: document.getElementById("saveWorkspaceBtn"),
+  workspaceList: document.getElementById("workspaceList"),
+  activeAccount: document.getElementById("activeAccount"),
+  sessionExpiry: document.getElementById("sessionExpiry"),
+  snapshotName: document.getElementById("snapshotName"),
+  saveSnapshotBtn: document.getElementById("saveSnapshotBtn"),
+  snapshotList: document.getElementById("snapshotList"),
+  snapshotOutput: document.getElementById("snapshotOutput")
 };
 
 // ============================================================================
@@ -43,6 +97,7 @@ const elements = {
 let currentTab = null;
 let currentUrl = null;
 let currentHostname = null;
+let currentStoreId = null;
 
 // ============================================================================
 // Utility Functions
@@ -64,189 +119,1575 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
+}
+
 function isPlatformSupported(hostname) {
   return SUPPORTED_PLATFORMS.some(platform => 
     hostname === platform || hostname.endsWith("." + platform)
   );
 }
 
-function hideOutput() {
-  elements.output.classList.remove("visible");
+function hideOutput() {
+  elements.output.classList.remove("visible");
+}
+
+function hideCookieList() {
+  elements.cookieList.classList.add("hidden");
+  elements.cookieList.innerHTML = "";
+  elements.cookieTools.classList.add("hidden");
+  editorCookies = [];
+  expandedCookieKey = null;
+}
+
+// ============================================================================
+// Cookie Operations
+// ============================================================================
+
+async function deleteSingleCookie() {
+  const name = elements.cookieName.value.trim();
+  
+  if (!name) {
+    showOutput("Please enter a cookie name", "error");
+    return;
+  }
+
+  showOutput(`Deleting cookie "${name}"...`, "info");
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "deleteCookie",
+      storeId: currentStoreId,
+      url: currentUrl,
+      name: name
+    });
+
+    if (result.success) {
+      showOutput(`✓ Cookie "${name}" deleted successfully`, "success");
+      elements.cookieName.value = "";
+    } else {
+      showOutput(`✗ Cookie "${name}" not found or could not be deleted`, "error");
+    }
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+async function deleteAllCookies() {
+  const clearSiteDataChecked = elements.clearSiteData.checked;
+  const includeGlobalDataChecked = elements.includeGlobalData.checked;
+
+  let confirmMessage;
+  if (clearSiteDataChecked && includeGlobalDataChecked) {
+    confirmMessage = `Are you sure you want to delete ALL cookies AND site data for ${currentHostname}${describeCookieStore()}?\n\n` +
+      `This will:\n` +
+      `• Delete all cookies for this site\n` +
+      `• Clear localStorage & sessionStorage\n` +
+      `• Remove IndexedDB databases\n` +
+      `• Unregister service workers\n` +
+      `• ⚠️ Clear HTTP cache for ALL SITES\n\n` +
+      `You will be logged out and the site will be fully reset.`;
+  } else if (clearSiteDataChecked) {
+    confirmMessage = `Are you sure you want to delete ALL cookies AND site data for ${currentHostname}${describeCookieStore()}?\n\n` +
+      `This will:\n` +
+      `• Delete all cookies for this site\n` +
+      `• Clear localStorage & sessionStorage\n` +
+      `• Remove IndexedDB databases\n` +
+      `• Unregister service workers\n\n` +
+      `You will be logged out and the site will be fully reset.`;
+  } else {
+    confirmMessage = `Are you sure you want to delete ALL cookies for ${currentHostname}${describeCookieStore()}?\n\n` +
+      `This will log you out and reset your session.`;
+  }
+
+  const confirmed = confirm(confirmMessage);
+
+  if (!confirmed) {
+    return;
+  }
+
+  hideCookieList();
+
+  // Step 1: Delete cookies
+  showOutput(`Deleting all cookies for ${currentHostname}...`, "info");
+
+  try {
+    const cookieResult = await browser.runtime.sendMessage({
+      action: "deleteAllCookies",
+      storeId: currentStoreId,
+      domain: currentHostname
+    });
+
+    if (cookieResult.success) {
+      showOutput(`✓ Deleted ${cookieResult.count} cookies`, "success");
+    } else {
+      showOutput(`✗ Error deleting cookies: ${cookieResult.error || "Unknown error"}`, "error");
+      return;
+    }
+
+    // Step 2: Clear site data if checkbox is checked
+    if (clearSiteDataChecked) {
+      appendOutput("\nClearing site data...", "info");
+
+      // Build origin URL from current URL
+      const urlObj = new URL(currentUrl);
+      const origin = urlObj.origin;
+
+      const siteDataResult = await browser.runtime.sendMessage({
+        action: "clearSiteData",
+        origin: origin,
+        tabId: currentTab.id,
+        storeId: currentStoreId,
+        includeGlobalData: includeGlobalDataChecked
+      });
+
+      if (siteDataResult.cleared.length > 0) {
+        appendOutput(`✓ Cleared: ${siteDataResult.cleared.join(", ")}`, "success");
+      }
+      for (const failure of siteDataResult.failed || []) {
+        appendOutput(`✗ Not cleared: ${failure.type} (${failure.error})`, "error");
+      }
+      if (siteDataResult.error) {
+        appendOutput(`✗ Error clearing site data: ${siteDataResult.error}`, "error");
+      }
+
+      // sessionStorage is per tab, so no browsingData type covers it
+      try {
+        const pageResult = await ScriptInjector.run(currentTab.id, clearPageStorage, [["sessionStorage"]]);
+        if (pageResult.cleared.length > 0) {
+          appendOutput("✓ Cleared sessionStorage", "success");
+        }
+        for (const failure of pageResult.failed) {
+          appendOutput(`✗ Not cleared: ${failure.type} (${failure.error})`, "error");
+        }
+      } catch (e) {
+        appendOutput(`✗ Not cleared: sessionStorage (${e.message})`, "error");
+      }
+    }
+
+    appendOutput("\n🔄 Reload the page to apply changes.", "info");
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+// ============================================================================
+// Cookie Editor
+// ============================================================================
+
+let editorCookies = [];
+let expandedCookieKey = null;
+
+const COOKIE_FILTERS = {
+  all: () => true,
+  secure: cookie => cookie.secure,
+  httpOnly: cookie => cookie.httpOnly,
+  session: cookie => cookie.session,
+  persistent: cookie => !cookie.session,
+  hostOnly: cookie => cookie.hostOnly,
+  "sameSite-no_restriction": cookie => cookie.sameSite === "no_restriction",
+  "sameSite-lax": cookie => cookie.sameSite === "lax",
+  "sameSite-strict": cookie => cookie.sameSite === "strict"
+};
+
+const COOKIE_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  domain: (a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name),
+  expiry: (a, b) => (a.session ? Infinity : a.expirationDate) - (b.session ? Infinity : b.expirationDate),
+  size: (a, b) => (b.name.length + b.value.length) - (a.name.length + a.value.length)
+};
+
+/**
+ * Identify a cookie across reloads of the list
+ * @param {object} cookie
+ * @returns {string}
+ */
+function cookieKey(cookie) {
+  const partition = cookie.partitionKey ? cookie.partitionKey.topLevelSite || "" : "";
+  return [cookie.name, cookie.domain, cookie.path, partition].join("|");
+}
+
+/**
+ * URL a cookie belongs to, for the cookies API
+ * @param {object} cookie
+ * @returns {string}
+ */
+function cookieUrl(cookie) {
+  return `${cookie.secure ? "https" : "http"}://${cookie.domain.replace(/^\./, "")}${cookie.path}`;
+}
+
+/**
+ * Build setCookie details that keep every attribute of an existing cookie
+ * @param {object} cookie - Cookie from the list
+ * @param {object} changes - Attributes to change (value, expirationDate, session)
+ * @returns {object}
+ */
+function buildCookieDetails(cookie, changes) {
+  const updated = { ...cookie, ...changes };
+  const details = {
+    url: cookieUrl(updated),
+    name: updated.name,
+    value: updated.value,
+    path: updated.path,
+    secure: updated.secure,
+    httpOnly: updated.httpOnly,
+    sameSite: updated.sameSite
+  };
+
+  if (!updated.hostOnly) details.domain = updated.domain;
+  if (!updated.session && updated.expirationDate) details.expirationDate = updated.expirationDate;
+  if (updated.storeId) details.storeId = updated.storeId;
+  if (updated.partitionKey) details.partitionKey = updated.partitionKey;
+  if (updated.firstPartyDomain) details.firstPartyDomain = updated.firstPartyDomain;
+
+  return details;
+}
+
+/**
+ * Format a cookie expiry for a datetime-local input (local time)
+ * @param {number} seconds - Expiration timestamp in seconds
+ * @returns {string}
+ */
+function toDateTimeLocal(seconds) {
+  const date = new Date(seconds * 1000);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Read a datetime-local input as a cookie expiry
+ * @param {string} value - Input value
+ * @returns {number|null} Expiration timestamp in seconds
+ */
+function fromDateTimeLocal(value) {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function describeExpiry(cookie) {
+  return cookie.session ? "Session" : new Date(cookie.expirationDate * 1000).toLocaleString();
+}
+
+/**
+ * Load the cookies of the current site into the editor
+ */
+async function listAllCookies() {
+  showOutput("Loading cookies...", "info");
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "listCookies",
+      storeId: currentStoreId,
+      domain: currentHostname
+    });
+
+    if (!result.success) {
+      showOutput(`✗ Error: ${result.error}`, "error");
+      return;
+    }
+
+    editorCookies = result.cookies;
+    if (result.cookies.length > 0) {
+      showOutput(`Found ${result.cookies.length} cookies`, "success");
+    } else {
+      showOutput("No cookies found for this domain", "info");
+    }
+    elements.cookieTools.classList.remove("hidden");
+    elements.cookieList.classList.remove("hidden");
+    renderCookieList();
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Render the searched, filtered and sorted cookie list
+ */
+function renderCookieList() {
+  const search = elements.cookieSearch.value.trim().toLowerCase();
+  const filter = COOKIE_FILTERS[elements.cookieFilter.value] || COOKIE_FILTERS.all;
+  const sort = COOKIE_SORTS[elements.cookieSort.value] || COOKIE_SORTS.name;
+
+  const cookies = editorCookies
+    .filter(cookie => !search ||
+      cookie.name.toLowerCase().includes(search) ||
+      cookie.domain.toLowerCase().includes(search))
+    .filter(filter)
+    .sort(sort);
+
+  if (cookies.length === 0) {
+    elements.cookieList.innerHTML = `<div class="cookie-empty">No matching cookies</div>`;
+    return;
+  }
+
+  elements.cookieList.innerHTML = cookies.map(cookie => {
+    const key = cookieKey(cookie);
+    const flags = [
+      cookie.secure ? "S" : "",
+      cookie.httpOnly ? "H" : "",
+      cookie.session ? "⏱" : ""
+    ].join("");
+
+    return `
+      <div class="cookie-item" data-key="${escapeAttribute(key)}">
+        <span class="name" title="${escapeAttribute(`${cookie.name} · ${cookie.domain}${cookie.path}`)}">
+          ${escapeHtml(cookie.name)}
+        </span>
+        <span class="meta" title="S = Secure, H = HttpOnly, ⏱ = Session">${flags}</span>
+        <button class="restore-btn edit-btn">${key === expandedCookieKey ? "Close" : "Edit"}</button>
+        <button class="delete-btn">Delete</button>
+      </div>
+      ${key === expandedCookieKey ? renderCookieDetails(cookie) : ""}
+    `;
+  }).join("");
+}
+
+/**
+ * Attribute table and value/expiry form of one cookie
+ * @param {object} cookie
+ * @returns {string} HTML
+ */
+function renderCookieDetails(cookie) {
+  const attributes = [
+    ["Domain", cookie.domain],
+    ["Path", cookie.path],
+    ["Secure", cookie.secure ? "Yes" : "No"],
+    ["HttpOnly", cookie.httpOnly ? "Yes" : "No"],
+    ["SameSite", cookie.sameSite || "unspecified"],
+    ["Expires", describeExpiry(cookie)],
+    ["Session", cookie.session ? "Yes" : "No"],
+    ["Host-only", cookie.hostOnly ? "Yes" : "No"],
+    ["Store", cookie.storeId || "default"]
+  ];
+  if (cookie.partitionKey) {
+    attributes.push(["Partition", cookie.partitionKey.topLevelSite || JSON.stringify(cookie.partitionKey)]);
+  }
+
+  return `
+    <div class="cookie-editor" data-key="${escapeAttribute(cookieKey(cookie))}">
+      <dl class="cookie-attributes">
+        ${attributes.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join("")}
+      </dl>
+      <label>Value</label>
+      <textarea class="edit-value">${escapeHtml(cookie.value)}</textarea>
+      <label>Expires</label>
+      <div class="editor-row">
+        <input type="datetime-local" class="edit-expiry"
+               value="${cookie.session ? "" : toDateTimeLocal(cookie.expirationDate)}"
+               ${cookie.session ? "disabled" : ""}>
+        <label class="checkbox-label">
+          <input type="checkbox" class="edit-session" ${cookie.session ? "checked" : ""}>
+          Session
+        </label>
+      </div>
+      <div class="btn-group">
+        <button class="btn-primary save-cookie-btn">Save</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Save the edited value and expiry of a cookie through setCookie
+ * @param {object} cookie - Original cookie
+ * @param {Element} editor - Its editor form
+ */
+async function saveEditedCookie(cookie, editor) {
+  const session = editor.querySelector(".edit-session").checked;
+  const changes = {
+    value: editor.querySelector(".edit-value").value,
+    session
+  };
+
+  if (!session) {
+    changes.expirationDate = fromDateTimeLocal(editor.querySelector(".edit-expiry").value);
+    if (!changes.expirationDate) {
+      showOutput("✗ Enter an expiry date or tick Session", "error");
+      return;
+    }
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "setCookie",
+      storeId: currentStoreId,
+      cookieDetails: buildCookieDetails(cookie, changes)
+    });
+
+    if (result.success) {
+      showOutput(`✓ Saved cookie "${cookie.name}"`, "success");
+      expandedCookieKey = null;
+      await listAllCookies();
+    } else {
+      showOutput(`✗ Could not save "${cookie.name}": ${result.error}`, "error");
+    }
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+async function deleteEditorCookie(cookie) {
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "deleteCookie",
+      storeId: cookie.storeId || currentStoreId,
+      url: cookieUrl(cookie),
+      name: cookie.name
+    });
+
+    if (result.success) {
+      showOutput(`✓ Cookie "${cookie.name}" deleted`, "success");
+    } else {
+      showOutput(`✗ Could not delete "${cookie.name}": ${result.error}`, "error");
+    }
+    await listAllCookies();
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Route clicks inside the cookie list to the cookie they belong to
+ * @param {Event} e
+ */
+function onCookieListClick(e) {
+  const button = e.target.closest("button");
+  if (!button) return;
+
+  const row = button.closest("[data-key]");
+  const cookie = row && editorCookies.find(candidate => cookieKey(candidate) === row.dataset.key);
+  if (!cookie) return;
+
+  if (button.classList.contains("edit-btn")) {
+    expandedCookieKey = expandedCookieKey === row.dataset.key ? null : row.dataset.key;
+    renderCookieList();
+  } else if (button.classList.contains("delete-btn")) {
+    deleteEditorCookie(cookie);
+  } else if (button.classList.contains("save-cookie-btn")) {
+    saveEditedCookie(cookie, row);
+  }
+}
+
+function onCookieListChange(e) {
+  if (!e.target.classList.contains("edit-session")) return;
+  const editor = e.target.closest(".cookie-editor");
+  editor.querySelector(".edit-expiry").disabled = e.target.checked;
+}
+
+// ============================================================================
+// New Cookie
+// ============================================================================
+
+/**
+ * Show the create form pre-filled for the current site
+ */
+function showNewCookieForm() {
+  const form = elements.newCookieForm;
+  form.querySelector("#newCookieName").value = "";
+  form.querySelector("#newCookieValue").value = "";
+  form.querySelector("#newCookieDomain").value = currentHostname;
+  form.querySelector("#newCookiePath").value = "/";
+  form.querySelector("#newCookieHostOnly").checked = true;
+  form.querySelector("#newCookieSecure").checked = currentUrl.startsWith("https:");
+  form.querySelector("#newCookieHttpOnly").checked = false;
+  form.querySelector("#newCookieSameSite").value = "lax";
+  form.querySelector("#newCookieSession").checked = false;
+  form.querySelector("#newCookieExpiry").disabled = false;
+  form.querySelector("#newCookieExpiry").value = toDateTimeLocal(Date.now() / 1000 + 30 * 24 * 3600);
+  form.classList.toggle("hidden");
+}
+
+async function createCookie() {
+  const form = elements.newCookieForm;
+  const name = form.querySelector("#newCookieName").value.trim();
+  const domain = form.querySelector("#newCookieDomain").value.trim().replace(/^\./, "");
+  const path = form.querySelector("#newCookiePath").value.trim() || "/";
+  const secure = form.querySelector("#newCookieSecure").checked;
+  const session = form.querySelector("#newCookieSession").checked;
+
+  if (!name || !domain) {
+    showOutput("✗ Name and domain are required", "error");
+    return;
+  }
+
+  const cookieDetails = {
+    url: `${secure ? "https" : "http"}://${domain}${path}`,
+    name,
+    value: form.querySelector("#newCookieValue").value,
+    path,
+    secure,
+    httpOnly: form.querySelector("#newCookieHttpOnly").checked,
+    sameSite: form.querySelector("#newCookieSameSite").value
+  };
+
+  if (!form.querySelector("#newCookieHostOnly").checked) {
+    cookieDetails.domain = domain;
+  }
+
+  if (!session) {
+    cookieDetails.expirationDate = fromDateTimeLocal(form.querySelector("#newCookieExpiry").value);
+    if (!cookieDetails.expirationDate) {
+      showOutput("✗ Enter an expiry date or tick Session", "error");
+      return;
+    }
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "setCookie",
+      storeId: currentStoreId,
+      cookieDetails
+    });
+
+    if (result.success) {
+      showOutput(`✓ Created cookie "${name}"`, "success");
+      form.classList.add("hidden");
+      await listAllCookies();
+    } else {
+      showOutput(`✗ Could not create "${name}": ${result.error}`, "error");
+    }
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+// ============================================================================
+// Cookie Export/Import
+// ============================================================================
+
+let importEntries = [];
+
+const IMPORT_STATUS_LABELS = {
+  new: "new",
+  unchanged: "same value",
+  conflict: "conflict",
+  expired: "expired"
+};
+
+/**
+ * Download the current site's cookies as JSON or cookies.txt
+ */
+async function exportCookies() {
+  const format = elements.cookieFormat.value;
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "exportCookies",
+      storeId: currentStoreId,
+      domain: currentHostname,
+      format
+    });
+
+    if (!result.success) {
+      showOutput(`✗ Export failed: ${result.error}`, "error");
+      return;
+    }
+
+    const blob = new Blob([result.data], { type: format === "json" ? "application/json" : "text/plain" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${currentHostname}-cookies.${format === "json" ? "json" : "txt"}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    showOutput(`✓ Exported ${result.count} cookies`, "success");
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+function toggleImportPanel() {
+  elements.importPanel.classList.toggle("hidden");
+  clearImportPreview();
+}
+
+function clearImportPreview() {
+  importEntries = [];
+  elements.importPreview.innerHTML = "";
+  elements.confirmImportGroup.classList.add("hidden");
+}
+
+async function loadImportFile() {
+  const file = elements.importFile.files[0];
+  if (!file) return;
+  elements.importText.value = await file.text();
+  await previewImport();
+}
+
+/**
+ * Show what an import would do, one row per cookie
+ * Conflicting cookies get a choice between keeping the browser's value and
+ * overwriting it
+ */
+async function previewImport() {
+  clearImportPreview();
+  const text = elements.importText.value.trim();
+  if (!text) {
+    showOutput("Paste a JSON or cookies.txt export first", "error");
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "previewCookieImport",
+      storeId: currentStoreId,
+      text
+    });
+
+    if (!result.success) {
+      showOutput(`✗ Could not read the import: ${result.error}`, "error");
+      return;
+    }
+
+    importEntries = result.entries;
+    const conflicts = importEntries.filter(entry => entry.status === "conflict").length;
+    showOutput(`${importEntries.length} cookies (${result.format}), ${conflicts} conflicts`, "info");
+
+    elements.importPreview.innerHTML = importEntries.map(entry => `
+      <div class="cookie-item" data-key="${escapeAttribute(entry.key)}">
+        <span class="name" title="${escapeAttribute(`${entry.cookie.domain}${entry.cookie.path}`)}">
+          ${escapeHtml(entry.cookie.name)}
+        </span>
+        <span class="meta">${IMPORT_STATUS_LABELS[entry.status]}</span>
+        ${entry.status === "conflict" ? `
+          <select class="import-resolution" title="Browser has: ${escapeAttribute(entry.existingValue.substring(0, 50))}">
+            <option value="skip">Keep</option>
+            <option value="overwrite">Overwrite</option>
+          </select>
+        ` : ""}
+      </div>
+    `).join("");
+
+    elements.confirmImportGroup.classList.toggle("hidden", importEntries.length === 0);
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+async function confirmImport() {
+  const resolutions = {};
+  elements.importPreview.querySelectorAll(".import-resolution").forEach(select => {
+    resolutions[select.closest("[data-key]").dataset.key] = select.value;
+  });
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "importCookies",
+      storeId: currentStoreId,
+      cookies: importEntries.map(entry => entry.cookie),
+      resolutions
+    });
+
+    clearImportPreview();
+    if (!elements.cookieList.classList.contains("hidden")) {
+      await listAllCookies();
+    }
+
+    showOutput(
+      `${result.success ? "✓" : "✗"} Imported ${result.imported}, kept ${result.skipped}, ` +
+      `unchanged ${result.unchanged}, expired ${result.expired}`,
+      result.success ? "success" : "error"
+    );
+    result.failed.forEach(failure => appendOutput(`✗ ${failure.name}: ${failure.error}`, "error"));
+    if (result.error) appendOutput(`✗ ${result.error}`, "error");
+  } catch (error) {
+    showOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+// ============================================================================
+// Cookie Stores (Firefox containers)
+// ============================================================================
+
+/**
+ * Find the cookie store of the current tab
+ * Firefox tabs carry their container, Chrome only lists stores per tab
+ * @returns {Promise<string|null>}
+ */
+async function getTabStoreId() {
+  if (currentTab.cookieStoreId) {
+    return currentTab.cookieStoreId;
+  }
+
+  try {
+    const stores = await browser.cookies.getAllCookieStores();
+    const store = stores.find(candidate => candidate.tabIds.includes(currentTab.id));
+    return store ? store.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Show the tab's container and let the cookie tools target another one
+ * Only Firefox has containers; elsewhere the row stays hidden
+ */
+async function setupCookieStore() {
+  currentStoreId = await getTabStoreId();
+
+  if (!browser.contextualIdentities || !currentStoreId) return;
+
+  let identities = [];
+  try {
+    identities = await browser.contextualIdentities.query({});
+  } catch (error) {
+    // Containers disabled in about:preferences
+    return;
+  }
+
+  const isPrivate = currentStoreId === "firefox-private";
+  const options = isPrivate
+    ? [{ id: "firefox-private", name: "Private browsing" }]
+    : [{ id: "firefox-default", name: "No container" }, ...identities.map(identity => ({
+      id: identity.cookieStoreId,
+      name: identity.name,
+      color: identity.colorCode
+    }))];
+
+  if (options.length < 2 && !isPrivate) return;
+
+  elements.cookieStore.innerHTML = options.map(option => `
+    <option value="${escapeAttribute(option.id)}" ${option.color ? `style="color: ${escapeAttribute(option.color)}"` : ""}>
+      ${escapeHtml(option.name)}${option.id === currentStoreId ? " (this tab)" : ""}
+    </option>
+  `).join("");
+  elements.cookieStore.value = currentStoreId;
+  elements.cookieStore.disabled = isPrivate;
+  elements.containerRow.classList.remove("hidden");
+}
+
+/**
+ * Name the container the cookie tools act on, for confirmations
+ * @returns {string} e.g. ' in container "Work"', or "" without containers
+ */
+function describeCookieStore() {
+  if (elements.containerRow.classList.contains("hidden")) return "";
+  const option = elements.cookieStore.selectedOptions[0];
+  return option ? ` in container "${option.textContent.replace(" (this tab)", "").trim()}"` : "";
+}
+
+async function changeCookieStore() {
+  currentStoreId = elements.cookieStore.value;
+  hideCookieList();
+  hideOutput();
+  if (isPlatformSupported(currentHostname)) {
+    await refreshSnapshots();
+  }
+}
+
+// ============================================================================
+// Accounts (cookie snapshots)
+// ============================================================================
+
+function showSnapshotOutput(message, type = "info") {
+  elements.snapshotOutput.classList.add("visible");
+  elements.snapshotOutput.innerHTML = `<span class="${type}">${escapeHtml(message)}</span>`;
+}
+
+/**
+ * Show which saved account is logged in and list every saved account
+ */
+async function refreshSnapshots() {
+  refreshSessionExpiry();
+
+  try {
+    const [active, result] = await Promise.all([
+      browser.runtime.sendMessage({ action: "getActiveAccount", hostname: currentHostname, storeId: currentStoreId }),
+      browser.runtime.sendMessage({ action: "listCookieSnapshots", hostname: currentHostname })
+    ]);
+
+    if (!active.success) {
+      elements.activeAccount.textContent = `Login unknown: ${active.error}`;
+    } else if (!active.loggedIn) {
+      elements.activeAccount.textContent = "Not logged in";
+    } else if (active.account) {
+      elements.activeAccount.innerHTML = `Active: <span class="name">${escapeHtml(active.account)}</span>`;
+    } else {
+      elements.activeAccount.textContent = `Active: unsaved login (${active.fingerprint})`;
+    }
+
+    if (!result.success) {
+      showSnapshotOutput(`✗ ${result.error}`, "error");
+      return;
+    }
+
+    elements.snapshotList.innerHTML = result.snapshots.map(snapshot => {
+      const isActive = active.success && active.loggedIn && snapshot.fingerprint === active.fingerprint;
+      return `
+        <div class="cookie-item ${isActive ? "active" : ""}">
+          <span class="name" title="${escapeAttribute(snapshot.name)} · ${escapeAttribute(snapshot.domain)}">${escapeHtml(snapshot.name)}</span>
+          <span class="meta" title="Saved ${escapeAttribute(new Date(snapshot.createdAt).toLocaleString())}">${snapshot.count} cookies</span>
+          <button class="restore-btn" data-name="${escapeAttribute(snapshot.name)}" ${isActive ? "disabled" : ""}>Switch</button>
+          <button class="delete-btn" data-name="${escapeAttribute(snapshot.name)}">Delete</button>
+        </div>
+      `;
+    }).join("");
+  } catch (error) {
+    showSnapshotOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Show when the login of this platform expires
+ */
+async function refreshSessionExpiry() {
+  try {
+    const status = await browser.runtime.sendMessage({
+      action: "getSessionStatus",
+      hostname: currentHostname,
+      storeId: currentStoreId
+    });
+
+    if (!status.success || !status.loggedIn) {
+      elements.sessionExpiry.textContent = "";
+    } else if (!status.expiresAt) {
+      elements.sessionExpiry.textContent = "Login ends when the browser closes";
+    } else {
+      elements.sessionExpiry.textContent = `Login expires ${new Date(status.expiresAt).toLocaleString()}`;
+    }
+  } catch (error) {
+    elements.sessionExpiry.textContent = "";
+  }
+}
+
+async function saveSnapshot() {
+  const name = elements.snapshotName.value.trim();
+  if (!name) {
+    showSnapshotOutput("Please enter an account name", "error");
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "saveCookieSnapshot",
+      storeId: currentStoreId,
+      hostname: currentHostname,
+      name
+    });
+
+    if (result.success) {
+      showSnapshotOutput(`✓ Saved ${result.snapshot.count} cookies as "${result.snapshot.name}"`, "success");
+      elements.snapshotName.value = "";
+      await refreshSnapshots();
+    } else {
+      showSnapshotOutput(`✗ ${result.error}`, "error");
+    }
+  } catch (error) {
+    showSnapshotOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Swap the site's cookies for a saved account and reload the tab
+ * @param {string} name - Account name
+ */
+async function switchAccount(name) {
+  const confirmed = confirm(
+    `Switch ${currentHostname} to "${name}"?\n\n` +
+    `All current cookies of this platform are deleted first. ` +
+    `Save the current login as an account if you want to come back to it.`
+  );
+  if (!confirmed) return;
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "switchAccount",
+      storeId: currentStoreId,
+      hostname: currentHostname,
+      name,
+      tabId: currentTab.id
+    });
+
+    if (result.success) {
+      window.close();
+      return;
+    }
+
+    let message = `✗ ${result.error || `Restored ${result.restored} cookies`}`;
+    if (result.failed && result.failed.length > 0) message += `, failed: ${result.failed.map(cookie => cookie.name).join(", ")}`;
+    showSnapshotOutput(message, "error");
+  } catch (error) {
+    showSnapshotOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+async function deleteSnapshot(name) {
+  if (!confirm(`Delete account "${name}"? The login itself stays untouched.`)) return;
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "deleteCookieSnapshot",
+      hostname: currentHostname,
+      name
+    });
+
+    if (result.success) {
+      showSnapshotOutput(`✓ Deleted "${name}"`, "success");
+    } else {
+      showSnapshotOutput(`✗ ${result.error}`, "error");
+    }
+    await refreshSnapshots();
+  } catch (error) {
+    showSnapshotOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+// ============================================================================
+// Keep Logins (allowlist reset)
+// ============================================================================
+
+function showKeepLoginOutput(message, type = "info") {
+  elements.keepLoginOutput.classList.add("visible");
+  elements.keepLoginOutput.innerHTML = `<span class="${type}">${escapeHtml(message)}</span>`;
+}
+
+/**
+ * Show the cookie names the allowlist reset keeps on this platform
+ */
+async function refreshAllowlist() {
+  try {
+    const result = await browser.runtime.sendMessage({ action: "getCookieAllowlist", hostname: currentHostname });
+    if (!result.success) {
+      showKeepLoginOutput(`✗ ${result.error}`, "error");
+      return;
+    }
+    elements.allowlistNames.value = result.names.join("\n");
+    elements.allowlistNames.title = result.isDefault ? "Default list" : "Your list";
+  } catch (error) {
+    showKeepLoginOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+async function saveAllowlist() {
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "setCookieAllowlist",
+      hostname: currentHostname,
+      names: elements.allowlistNames.value.split("\n")
+    });
+    if (!result.success) {
+      showKeepLoginOutput(`✗ ${result.error}`, "error");
+      return;
+    }
+    elements.allowlistNames.value = result.names.join("\n");
+    showKeepLoginOutput(result.isDefault ? "✓ Default list restored" : "✓ List saved", "success");
+  } catch (error) {
+    showKeepLoginOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Run the allowlist reset, or only list what it would delete
+ * @param {boolean} dryRun
+ */
+async function resetCookiesExcept(dryRun) {
+  elements.keepLoginList.innerHTML = "";
+
+  if (!dryRun && !confirm("Delete every cookie of this platform except the listed ones?")) {
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "resetCookiesExcept",
+      hostname: currentHostname,
+      storeId: currentStoreId,
+      dryRun
+    });
+
+    if (!result.success) {
+      showKeepLoginOutput(`✗ ${result.error}`, "error");
+      return;
+    }
+
+    if (dryRun) {
+      const domains = result.domains.length > 0 ? ` on ${result.domains.join(", ")}` : "";
+      showKeepLoginOutput(`Would delete ${result.deleted.length}${domains}, keep ${result.kept.length}`, "info");
+      elements.keepLoginList.innerHTML = [
+        ...result.deleted.map(name => ({ name, keep: false })),
+        ...result.kept.map(name => ({ name, keep: true }))
+      ].map(cookie => `
+        <div class="cookie-item ${cookie.keep ? "active" : ""}">
+          <span class="name">${escapeHtml(cookie.name)}</span>
+          <span class="meta">${cookie.keep ? "keep" : "delete"}</span>
+        </div>
+      `).join("");
+    } else {
+      showKeepLoginOutput(`✓ Deleted ${result.deleted.length} cookies, kept ${result.kept.length}`, "success");
+      hideCookieList();
+    }
+  } catch (error) {
+    showKeepLoginOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+// ============================================================================
+// Cookie History
+// ============================================================================
+
+const HISTORY_EVENT_LABELS = {
+  set: "set",
+  overwrite: "rotated",
+  expired: "expired",
+  deleted: "deleted",
+  evicted: "evicted"
+};
+
+/**
+ * Timeline of recorded cookie changes on this platform, newest first
+ */
+async function refreshCookieHistory() {
+  try {
+    const result = await browser.runtime.sendMessage({ action: "getCookieHistory", hostname: currentHostname });
+    if (!result.success) {
+      elements.historyList.innerHTML = `<div class="cookie-empty">${escapeHtml(result.error)}</div>`;
+      return;
+    }
+
+    const events = elements.historySessionOnly.checked
+      ? result.events.filter(event => event.sessionCookie)
+      : result.events;
+
+    if (events.length === 0) {
+      elements.historyList.innerHTML = `<div class="cookie-empty">No changes recorded yet</div>`;
+      return;
+    }
+
+    elements.historyList.innerHTML = events.map(event => {
+      const expires = event.expirationDate
+        ? `expires ${new Date(event.expirationDate * 1000).toLocaleString()}`
+        : "session cookie";
+      return `
+        <div class="cookie-item history-${event.type}">
+          <span class="meta">${escapeHtml(new Date(event.at).toLocaleString())}</span>
+          <span class="name" title="${escapeAttribute(`${event.domain}${event.path} · ${expires}`)}">
+            ${escapeHtml(event.name)}
+          </span>
+          <span class="meta">${HISTORY_EVENT_LABELS[event.type] || escapeHtml(event.type)}</span>
+        </div>
+      `;
+    }).join("");
+  } catch (error) {
+    elements.historyList.innerHTML = `<div class="cookie-empty">${escapeHtml(error.message)}</div>`;
+  }
 }
 
-function hideCookieList() {
-  elements.cookieList.classList.add("hidden");
-  elements.cookieList.innerHTML = "";
+async function clearCookieHistory() {
+  await browser.runtime.sendMessage({ action: "clearCookieHistory", hostname: currentHostname });
+  await refreshCookieHistory();
 }
 
 // ============================================================================
-// Cookie Operations
+// Site Storage
 // ============================================================================
 
-async function deleteSingleCookie() {
-  const name = elements.cookieName.value.trim();
-  
-  if (!name) {
-    showOutput("Please enter a cookie name", "error");
-    return;
+const WEB_STORAGE_AREAS = ["localStorage", "sessionStorage"];
+
+let siteStorage = null;
+let expandedStorageKey = null;
+
+function showStorageOutput(message, type = "info") {
+  elements.storageOutput.classList.add("visible");
+  elements.storageOutput.innerHTML = `<span class="${type}">${escapeHtml(message)}</span>`;
+}
+
+function storageItemKey(type, name) {
+  return `${type}|${name}`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Read the current tab's Web Storage and IndexedDB through the background
+ */
+async function inspectSiteStorage() {
+  try {
+    const result = await browser.runtime.sendMessage({ action: "inspectSiteStorage", tabId: currentTab.id });
+    if (!result.success) {
+      siteStorage = null;
+      elements.storageList.innerHTML = "";
+      showStorageOutput(`✗ ${result.error}`, "error");
+      return;
+    }
+
+    siteStorage = result.storage;
+    elements.inspectStorageBtn.textContent = "🔄 Refresh";
+    renderSiteStorage();
+  } catch (error) {
+    showStorageOutput(`✗ Error: ${error.message}`, "error");
   }
+}
 
-  showOutput(`Deleting cookie "${name}"...`, "info");
+/**
+ * One heading per storage area, then its keys or databases
+ */
+function renderSiteStorage() {
+  const groups = WEB_STORAGE_AREAS.map(type => {
+    const area = siteStorage[type];
+    const total = area.entries.reduce((sum, entry) => sum + entry.size, 0);
+    const rows = area.entries.map(entry => renderStorageEntry(type, entry)).join("");
+    return `
+      <div class="storage-heading">${type} <span class="meta">${area.entries.length} keys · ${formatBytes(total)}</span></div>
+      ${area.error ? `<div class="cookie-empty">${escapeHtml(area.error)}</div>` : ""}
+      ${rows || (area.error ? "" : `<div class="cookie-empty">Empty</div>`)}
+    `;
+  });
+
+  const { databases, error } = siteStorage.indexedDB;
+  groups.push(`
+    <div class="storage-heading">IndexedDB <span class="meta">${databases.length} databases</span></div>
+    ${error ? `<div class="cookie-empty">${escapeHtml(error)}</div>` : ""}
+    ${databases.map(renderStorageDatabase).join("") || (error ? "" : `<div class="cookie-empty">No databases</div>`)}
+  `);
 
+  elements.storageList.innerHTML = groups.join("");
+}
+
+function renderStorageEntry(type, entry) {
+  const key = storageItemKey(type, entry.key);
+  const expanded = key === expandedStorageKey;
+  return `
+    <div class="cookie-item" data-type="${type}" data-name="${escapeAttribute(entry.key)}">
+      <span class="name" title="${escapeAttribute(entry.key)}">${escapeHtml(entry.key)}</span>
+      <span class="meta">${formatBytes(entry.size)}</span>
+      <button class="restore-btn view-btn">${expanded ? "Close" : "View"}</button>
+      <button class="delete-btn">Delete</button>
+    </div>
+    ${expanded ? `
+      <div class="cookie-editor">
+        <textarea readonly>${escapeHtml(entry.value)}</textarea>
+        ${entry.truncated ? `<div class="cookie-empty">Cut at 2000 characters</div>` : ""}
+      </div>
+    ` : ""}
+  `;
+}
+
+function renderStorageDatabase(database) {
+  const key = storageItemKey("indexedDB", database.name);
+  const expanded = key === expandedStorageKey;
+  const records = database.stores.reduce((sum, store) => sum + (store.count || 0), 0);
+  return `
+    <div class="cookie-item" data-type="indexedDB" data-name="${escapeAttribute(database.name)}">
+      <span class="name" title="${escapeAttribute(`${database.name} (version ${database.version})`)}">${escapeHtml(database.name)}</span>
+      <span class="meta">${database.stores.length} stores · ${records} records</span>
+      <button class="restore-btn view-btn">${expanded ? "Close" : "View"}</button>
+      <button class="delete-btn">Delete</button>
+    </div>
+    ${expanded ? `
+      <div class="cookie-editor">
+        <dl class="cookie-attributes">
+          <dt>Version</dt><dd>${escapeHtml(String(database.version))}</dd>
+          ${database.stores.map(store => `
+            <dt title="${escapeAttribute(store.name)}">${escapeHtml(store.name)}</dt>
+            <dd>${store.count === null ? "?" : store.count} records</dd>
+          `).join("")}
+        </dl>
+        ${database.error ? `<div class="cookie-empty">${escapeHtml(database.error)}</div>` : ""}
+      </div>
+    ` : ""}
+  `;
+}
+
+async function deleteSiteStorageItem(type, name) {
+  const label = type === "indexedDB" ? `database "${name}"` : `${type} key "${name}"`;
   try {
     const result = await browser.runtime.sendMessage({
-      action: "deleteCookie",
-      url: currentUrl,
-      name: name
+      action: "deleteSiteStorageItem",
+      tabId: currentTab.id,
+      type,
+      name
     });
 
-    if (result.success) {
-      showOutput(`✓ Cookie "${name}" deleted successfully`, "success");
-      elements.cookieName.value = "";
-    } else {
-      showOutput(`✗ Cookie "${name}" not found or could not be deleted`, "error");
+    if (!result.success) {
+      showStorageOutput(`✗ Could not delete ${label}: ${result.error}`, "error");
+      return;
+    }
+
+    showStorageOutput(
+      result.blocked
+        ? `✓ Deleted ${label} - the page still has it open, it goes once you reload`
+        : `✓ Deleted ${label}`,
+      "success"
+    );
+    await inspectSiteStorage();
+  } catch (error) {
+    showStorageOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Route clicks inside the storage list to the key or database they belong to
+ * @param {Event} e
+ */
+function onStorageListClick(e) {
+  const button = e.target.closest("button");
+  const row = button && button.closest("[data-type]");
+  if (!row) return;
+
+  const { type, name } = row.dataset;
+  if (button.classList.contains("view-btn")) {
+    const key = storageItemKey(type, name);
+    expandedStorageKey = expandedStorageKey === key ? null : key;
+    renderSiteStorage();
+  } else if (button.classList.contains("delete-btn")) {
+    deleteSiteStorageItem(type, name);
+  }
+}
+
+// ============================================================================
+// Tabs (tab manager)
+// ============================================================================
+
+// Buttons of each tab row: runTabAction action, label, tooltip
+const TAB_BUTTONS = [
+  ["switch", "↗", "Switch to this tab"],
+  ["duplicate", "⧉", "Duplicate"],
+  ["newWindow", "⇱", "Move to a new window"],
+  ["close", "✕", "Close"]
+];
+
+function showTabOutput(message, type = "info") {
+  elements.tabOutput.classList.add("visible");
+  elements.tabOutput.innerHTML = `<span class="${type}">${escapeHtml(message)}</span>`;
+}
+
+/**
+ * Every window's tabs, grouped by AI platform
+ */
+async function refreshTabGroups() {
+  try {
+    const result = await browser.runtime.sendMessage({ action: "listTabGroups" });
+    if (!result.success) {
+      elements.tabList.innerHTML = `<div class="cookie-empty">${escapeHtml(result.error)}</div>`;
+      return;
     }
+
+    elements.tabList.innerHTML = result.groups.map(group => `
+      <div class="storage-heading">${escapeHtml(group.title)} <span class="meta">${group.tabs.length}</span></div>
+      ${group.tabs.map(tab => `
+        <div class="cookie-item tab-item${currentTab && tab.id === currentTab.id ? " active" : ""}" data-tab-id="${tab.id}">
+          <span class="name" title="${escapeAttribute(tab.url || "")}">
+            ${result.windows > 1 ? `<span class="meta">W${tab.window}</span>` : ""}${escapeHtml(tab.title)}
+          </span>
+          ${TAB_BUTTONS.map(([action, label, title]) => `
+            <button class="${action === "close" ? "delete-btn" : "restore-btn"}" data-tab-action="${action}" title="${title}">${label}</button>
+          `).join("")}
+        </div>
+      `).join("")}
+    `).join("");
   } catch (error) {
-    showOutput(`✗ Error: ${error.message}`, "error");
+    elements.tabList.innerHTML = `<div class="cookie-empty">${escapeHtml(error.message)}</div>`;
   }
 }
 
-async function listAllCookies() {
-  showOutput("Loading cookies...", "info");
-  hideCookieList();
+/**
+ * Run the clicked action on its tab
+ * @param {Event} e
+ */
+async function onTabListClick(e) {
+  const button = e.target.closest("button[data-tab-action]");
+  if (!button) return;
 
+  const tabId = Number(button.closest("[data-tab-id]").dataset.tabId);
   try {
     const result = await browser.runtime.sendMessage({
-      action: "listCookies",
-      domain: currentHostname
+      action: "runTabAction",
+      tabId,
+      tabAction: button.dataset.tabAction
     });
+    if (!result.success) {
+      showTabOutput(`✗ ${result.error}`, "error");
+    }
+    await refreshTabGroups();
+  } catch (error) {
+    showTabOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
 
-    if (result.success && result.cookies.length > 0) {
-      showOutput(`Found ${result.cookies.length} cookies:`, "success");
-      
-      elements.cookieList.classList.remove("hidden");
-      elements.cookieList.innerHTML = result.cookies.map(cookie => `
-        <div class="cookie-item">
-          <span class="name" title="${escapeHtml(cookie.name)}: ${escapeHtml(cookie.value.substring(0, 50))}">
-            ${escapeHtml(cookie.name)}
-          </span>
-          <button class="delete-btn" data-name="${escapeHtml(cookie.name)}">Delete</button>
-        </div>
-      `).join("");
+// ============================================================================
+// Workspaces (saved sets of AI tabs)
+// ============================================================================
 
-      // Add click handlers for individual delete buttons
-      elements.cookieList.querySelectorAll(".delete-btn").forEach(btn => {
-        btn.addEventListener("click", async (e) => {
-          const cookieName = e.target.dataset.name;
-          await deleteCookieByName(cookieName);
-          // Refresh the list
-          await listAllCookies();
-        });
-      });
+/**
+ * Saved workspaces with Open and Delete buttons
+ */
+async function refreshWorkspaces() {
+  try {
+    const result = await browser.runtime.sendMessage({ action: "listWorkspaces" });
+    if (!result.success) {
+      showTabOutput(`✗ ${result.error}`, "error");
+      return;
+    }
+
+    elements.workspaceList.innerHTML = result.workspaces.map(workspace => `
+      <div class="cookie-item">
+        <span class="name" title="${escapeAttribute(`${workspace.platforms.join(", ")} · saved ${new Date(workspace.createdAt).toLocaleString()}`)}">
+          ${escapeHtml(workspace.name)}
+        </span>
+        <span class="meta">${workspace.tabCount} tabs</span>
+        <button class="restore-btn" data-name="${escapeAttribute(workspace.name)}">Open</button>
+        <button class="delete-btn" data-name="${escapeAttribute(workspace.name)}">Delete</button>
+      </div>
+    `).join("");
+  } catch (error) {
+    showTabOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
+
+async function saveWorkspace() {
+  const name = elements.workspaceName.value.trim();
+  if (!name) {
+    showTabOutput("Please enter a workspace name", "error");
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "saveWorkspace",
+      windowId: currentTab ? currentTab.windowId : undefined,
+      name
+    });
+
+    if (result.success) {
+      showTabOutput(`✓ Saved ${result.workspace.tabCount} tabs as "${result.workspace.name}"`, "success");
+      elements.workspaceName.value = "";
+      await refreshWorkspaces();
     } else {
-      showOutput("No cookies found for this domain", "info");
+      showTabOutput(`✗ ${result.error}`, "error");
     }
   } catch (error) {
-    showOutput(`✗ Error: ${error.message}`, "error");
+    showTabOutput(`✗ Error: ${error.message}`, "error");
   }
 }
 
-async function deleteCookieByName(name) {
+async function restoreWorkspace(name) {
   try {
-    await browser.runtime.sendMessage({
-      action: "deleteCookie",
-      url: currentUrl,
-      name: name
+    const result = await browser.runtime.sendMessage({
+      action: "restoreWorkspace",
+      windowId: currentTab ? currentTab.windowId : undefined,
+      name
     });
+
+    if (result.success) {
+      showTabOutput(`✓ Opened "${name}": ${result.opened} new, ${result.reused} already open`, "success");
+    } else {
+      const failures = result.failed.map(failure => `${failure.url}: ${failure.error}`);
+      showTabOutput(`✗ ${[result.error, ...failures].filter(Boolean).join("; ")}`, "error");
+    }
+    await refreshTabGroups();
   } catch (error) {
-    console.error("Error deleting cookie:", error);
+    showTabOutput(`✗ Error: ${error.message}`, "error");
   }
 }
 
-async function deleteAllCookies() {
-  const clearSiteDataChecked = elements.clearSiteData.checked;
-  const includeGlobalDataChecked = elements.includeGlobalData.checked;
+async function deleteWorkspace(name) {
+  try {
+    const result = await browser.runtime.sendMessage({ action: "deleteWorkspace", name });
+    if (!result.success) {
+      showTabOutput(`✗ ${result.error}`, "error");
+    }
+    await refreshWorkspaces();
+  } catch (error) {
+    showTabOutput(`✗ Error: ${error.message}`, "error");
+  }
+}
 
-  let confirmMessage;
-  if (clearSiteDataChecked && includeGlobalDataChecked) {
-    confirmMessage = `Are you sure you want to delete ALL cookies AND site data for ${currentHostname}?\n\n` +
-      `This will:\n` +
-      `• Delete all cookies for this site\n` +
-      `• Clear localStorage & sessionStorage\n` +
-      `• Remove IndexedDB databases\n` +
-      `• Unregister service workers\n` +
-      `• ⚠️ Clear HTTP cache for ALL SITES\n\n` +
-      `You will be logged out and the site will be fully reset.`;
-  } else if (clearSiteDataChecked) {
-    confirmMessage = `Are you sure you want to delete ALL cookies AND site data for ${currentHostname}?\n\n` +
-      `This will:\n` +
-      `• Delete all cookies for this site\n` +
-      `• Clear localStorage & sessionStorage\n` +
-      `• Remove IndexedDB databases\n` +
-      `• Unregister service workers\n\n` +
-      `You will be logged out and the site will be fully reset.`;
+// ============================================================================
+// Active Model
+// ============================================================================
+
+/**
+ * Ask the tab's handler which model is active and show it
+ */
+async function showActiveModel() {
+  try {
+    const response = await browser.tabs.sendMessage(currentTab.id, { action: "getActiveModel" });
+    if (!response || !response.success || !response.model) return;
+
+    let html = `Model: <span class="model">${escapeHtml(response.model)}</span>`;
+    const result = response.result;
+    if (result && (result.status === "unavailable" || result.status === "failed" || result.status === "not-found")) {
+      html += ` <span class="wanted">(wanted ${escapeHtml(result.requested.join(" → "))})</span>`;
+    }
+
+    elements.activeModel.innerHTML = html;
+    elements.activeModel.classList.remove("hidden");
+  } catch (error) {
+    // Content scripts not loaded yet (e.g., page still loading)
+    console.warn("Could not read active model:", error);
+  }
+}
+
+// ============================================================================
+// Feature Status
+// ============================================================================
+
+const FAILED_STATUSES = ["not-found", "failed", "error", "unavailable"];
+
+/**
+ * Describe a feature's live state and its last result in one line
+ * @param {object} feature - Status from the "getFeatureStatus" message
+ * @returns {{text: string, failed: boolean}}
+ */
+function describeFeature(feature) {
+  const parts = [];
+  const last = feature.lastResult;
+  const failed = !!last && FAILED_STATUSES.includes(last.status);
+
+  if (feature.detail) parts.push(feature.detail);
+  if (!feature.found && !feature.detail) parts.push("control not on page");
+  if (!feature.applicable) parts.push("not applicable here");
+  if (feature.mode) parts.push(`preference: ${FEATURE_MODES[feature.mode] || feature.mode}`);
+
+  if (last) {
+    parts.push(`last run: ${last.status}${last.error ? ` (${last.error})` : ""}`);
   } else {
-    confirmMessage = `Are you sure you want to delete ALL cookies for ${currentHostname}?\n\n` +
-      `This will log you out and reset your session.`;
+    parts.push("not tried yet");
   }
 
-  const confirmed = confirm(confirmMessage);
+  return { text: parts.join(" · "), failed };
+}
 
-  if (!confirmed) {
+/**
+ * Ask the tab's handler for the state of every feature and render a checklist
+ */
+async function refreshFeatureStatus() {
+  let response;
+  try {
+    response = await browser.tabs.sendMessage(currentTab.id, { action: "getFeatureStatus" });
+  } catch (error) {
+    // Content scripts not loaded yet (e.g., page still loading)
+    console.warn("Could not read feature status:", error);
     return;
   }
 
-  hideCookieList();
+  if (!response || !response.success || response.features.length === 0) {
+    elements.featureSection.classList.add("hidden");
+    return;
+  }
 
-  // Step 1: Delete cookies
-  showOutput(`Deleting all cookies for ${currentHostname}...`, "info");
+  const note = response.validPage
+    ? ""
+    : `<div class="feature-item"><span class="detail">Automation doesn't run on this page; the buttons still act on it.</span></div>`;
+
+  elements.featureList.innerHTML = note + response.features.map(feature => {
+    const { text, failed } = describeFeature(feature);
+    const checkClass = failed ? "failed" : feature.enabled ? "on" : "";
+    const check = failed ? "✗" : feature.enabled ? "✓" : feature.enabled === null ? "–" : "○";
+
+    return `
+      <div class="feature-item">
+        <span class="check ${checkClass}">${check}</span>
+        <div class="info">
+          <div class="label">${escapeHtml(feature.label)}</div>
+          <div class="detail ${failed ? "error" : ""}" title="${escapeAttribute(text)}">${escapeHtml(text)}</div>
+        </div>
+        <button class="btn-primary" data-feature="${escapeAttribute(feature.id)}" data-enabled="true">Apply now</button>
+        <button class="btn-secondary" data-feature="${escapeAttribute(feature.id)}" data-enabled="false"
+                ${feature.reversible ? "" : "disabled title=\"Can't be turned off\""}>Turn off</button>
+      </div>
+    `;
+  }).join("");
+
+  elements.featureSection.classList.remove("hidden");
+}
+
+function showFeatureOutput(message, type = "info") {
+  elements.featureOutput.classList.add("visible");
+  elements.featureOutput.innerHTML = `<span class="${type}">${escapeHtml(message)}</span>`;
+}
+
+/**
+ * Turn one feature on or off from the checklist
+ * @param {Event} e - Click inside the feature list
+ */
+async function applyFeature(e) {
+  const button = e.target.closest("button[data-feature]");
+  if (!button) return;
+
+  const featureId = button.dataset.feature;
+  const enabled = button.dataset.enabled === "true";
+  button.disabled = true;
 
   try {
-    const cookieResult = await browser.runtime.sendMessage({
-      action: "deleteAllCookies",
-      domain: currentHostname
+    const response = await browser.tabs.sendMessage(currentTab.id, {
+      action: "applyFeature",
+      featureId,
+      enabled
     });
 
-    if (cookieResult.success) {
-      showOutput(`✓ Deleted ${cookieResult.count} cookies`, "success");
+    if (response && response.success) {
+      showFeatureOutput(`✓ ${response.result.label || featureId}: ${response.result.status}`, "success");
     } else {
-      showOutput(`✗ Error deleting cookies: ${cookieResult.error || "Unknown error"}`, "error");
-      return;
+      showFeatureOutput(`✗ ${featureId}: ${(response && response.error) || "No response from page"}`, "error");
     }
+  } catch (error) {
+    showFeatureOutput(`✗ Error: ${error.message}`, "error");
+  }
 
-    // Step 2: Clear site data if checkbox is checked
-    if (clearSiteDataChecked) {
-      appendOutput("\nClearing site data...", "info");
+  await refreshFeatureStatus();
+  showActiveModel();
+}
 
-      // Build origin URL from current URL
-      const urlObj = new URL(currentUrl);
-      const origin = urlObj.origin;
+/**
+ * Turn off every feature that can be turned off (e.g., thinking for a quick question)
+ */
+async function disableAllFeatures() {
+  try {
+    const response = await browser.tabs.sendMessage(currentTab.id, { action: "disableFeatures" });
 
-      const siteDataResult = await browser.runtime.sendMessage({
-        action: "clearSiteData",
-        origin: origin,
-        includeGlobalData: includeGlobalDataChecked
-      });
+    if (!response) {
+      showFeatureOutput("✗ No response from page", "error");
+    } else if (response.success) {
+      showFeatureOutput(`✓ Turned off ${response.results.length} feature(s)`, "success");
+    } else if (response.results) {
+      const failed = response.results.filter(result => FAILED_STATUSES.includes(result.status) || result.status === "skipped");
+      showFeatureOutput(`✗ Could not turn off: ${failed.map(result => result.label).join(", ")}`, "error");
+    } else {
+      showFeatureOutput(`✗ ${response.error}`, "error");
+    }
+  } catch (error) {
+    showFeatureOutput(`✗ Error: ${error.message}`, "error");
+  }
 
-      if (siteDataResult.success) {
-        appendOutput(`✓ Cleared: ${siteDataResult.cleared.join(", ")}`, "success");
-      } else {
-        appendOutput(`✗ Error clearing site data: ${siteDataResult.error}`, "error");
-      }
+  await refreshFeatureStatus();
+}
 
-      // Also clear sessionStorage via content script injection
-      try {
-        await browser.tabs.executeScript(currentTab.id, {
-          code: 'sessionStorage.clear(); console.log("[AI Thinking Mode] Cleared sessionStorage");'
-        });
-        appendOutput("✓ Cleared sessionStorage", "success");
-      } catch (e) {
-        // sessionStorage clearing may fail on some pages, that's okay
-        console.warn("Could not clear sessionStorage:", e);
-      }
-    }
+// ============================================================================
+// Google AI Studio Run Settings
+// ============================================================================
 
-    appendOutput("\n🔄 Reload the page to apply changes.", "info");
+/**
+ * Show the run-settings profile picker for the current AI Studio page
+ */
+async function setupRunSettingsProfile() {
+  const page = new URL(currentUrl).pathname;
+  const profiles = await RunSettingsProfiles.getAll();
+  const selection = await RunSettingsProfiles.getSelection();
+  const defaultProfile = profiles[selection.default] || profiles.default;
+
+  elements.runSettingsProfile.innerHTML =
+    `<option value="">Default (${escapeHtml(defaultProfile.name)})</option>` +
+    Object.entries(profiles).map(([id, profile]) =>
+      `<option value="${escapeAttribute(id)}">${escapeHtml(profile.name || id)}</option>`
+    ).join("");
+  elements.runSettingsProfile.value = profiles[selection.pages[page]] ? selection.pages[page] : "";
+  elements.runSettingsSection.classList.remove("hidden");
+}
+
+async function changeRunSettingsProfile() {
+  const page = new URL(currentUrl).pathname;
+  const id = elements.runSettingsProfile.value || null;
+
+  try {
+    // The AI Studio handler watches this choice and re-applies the settings
+    await RunSettingsProfiles.setForPage(page, id);
+    showOutput(`✓ Run-settings profile saved for ${page}`, "success");
   } catch (error) {
     showOutput(`✗ Error: ${error.message}`, "error");
   }
@@ -270,6 +1711,11 @@ async function hardReload() {
   }
 }
 
+async function openOptions() {
+  await browser.runtime.openOptionsPage();
+  window.close();
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -279,6 +1725,8 @@ async function init() {
     // Get current tab
     const tabs = await browser.tabs.query({ active: true, currentWindow: true });
     currentTab = tabs[0];
+    refreshTabGroups();
+    refreshWorkspaces();
     
     if (!currentTab || !currentTab.url) {
       elements.currentDomain.textContent = "No page loaded";
@@ -295,10 +1743,29 @@ async function init() {
       
       // Update UI with current site info
       elements.currentDomain.textContent = currentHostname;
+      await setupCookieStore();
       
       if (isPlatformSupported(currentHostname)) {
         elements.platformStatus.textContent = "Supported";
         elements.platformStatus.classList.remove("unsupported");
+
+        showActiveModel();
+        refreshFeatureStatus();
+
+        elements.snapshotSection.classList.remove("hidden");
+        refreshSnapshots();
+
+        elements.keepLoginSection.classList.remove("hidden");
+        refreshAllowlist();
+
+        elements.historySection.classList.remove("hidden");
+        refreshCookieHistory();
+
+        elements.storageSection.classList.remove("hidden");
+
+        if (currentHostname === "aistudio.google.com") {
+          await setupRunSettingsProfile();
+        }
       } else {
         elements.platformStatus.textContent = "Not AI Platform";
         elements.platformStatus.classList.add("unsupported");
@@ -323,8 +1790,59 @@ async function init() {
 elements.deleteSingleBtn.addEventListener("click", deleteSingleCookie);
 elements.listCookiesBtn.addEventListener("click", listAllCookies);
 elements.deleteAllBtn.addEventListener("click", deleteAllCookies);
+elements.cookieList.addEventListener("click", onCookieListClick);
+elements.cookieList.addEventListener("change", onCookieListChange);
+elements.cookieSearch.addEventListener("input", renderCookieList);
+elements.cookieFilter.addEventListener("change", renderCookieList);
+elements.cookieSort.addEventListener("change", renderCookieList);
+elements.newCookieBtn.addEventListener("click", showNewCookieForm);
+elements.createCookieBtn.addEventListener("click", createCookie);
+elements.exportCookiesBtn.addEventListener("click", exportCookies);
+elements.saveAllowlistBtn.addEventListener("click", saveAllowlist);
+elements.historySessionOnly.addEventListener("change", refreshCookieHistory);
+elements.clearHistoryBtn.addEventListener("click", clearCookieHistory);
+elements.inspectStorageBtn.addEventListener("click", inspectSiteStorage);
+elements.storageList.addEventListener("click", onStorageListClick);
+elements.tabList.addEventListener("click", onTabListClick);
+elements.saveWorkspaceBtn.addEventListener("click", saveWorkspace);
+elements.workspaceList.addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-name]");
+  if (!button) return;
+
+  if (button.classList.contains("restore-btn")) {
+    restoreWorkspace(button.dataset.name);
+  } else if (button.classList.contains("delete-btn")) {
+    deleteWorkspace(button.dataset.name);
+  }
+});
+elements.previewKeepLoginBtn.addEventListener("click", () => resetCookiesExcept(true));
+elements.keepLoginBtn.addEventListener("click", () => resetCookiesExcept(false));
+elements.importCookiesBtn.addEventListener("click", toggleImportPanel);
+elements.importFile.addEventListener("change", loadImportFile);
+elements.importText.addEventListener("input", clearImportPreview);
+elements.previewImportBtn.addEventListener("click", previewImport);
+elements.confirmImportBtn.addEventListener("click", confirmImport);
+document.getElementById("newCookieSession").addEventListener("change", (e) => {
+  document.getElementById("newCookieExpiry").disabled = e.target.checked;
+});
 elements.reloadPageBtn.addEventListener("click", reloadPage);
 elements.hardReloadBtn.addEventListener("click", hardReload);
+elements.openOptionsBtn.addEventListener("click", openOptions);
+elements.runSettingsProfile.addEventListener("change", changeRunSettingsProfile);
+elements.featureList.addEventListener("click", applyFeature);
+elements.cookieStore.addEventListener("change", changeCookieStore);
+elements.disableFeaturesBtn.addEventListener("click", disableAllFeatures);
+elements.saveSnapshotBtn.addEventListener("click", saveSnapshot);
+elements.snapshotList.addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-name]");
+  if (!button) return;
+
+  if (button.classList.contains("restore-btn")) {
+    switchAccount(button.dataset.name);
+  } else if (button.classList.contains("delete-btn")) {
+    deleteSnapshot(button.dataset.name);
+  }
+});
 
 // Show/hide global data option when clearSiteData is toggled
 elements.clearSiteData.addEventListener("change", () => {
@@ -343,5 +1861,17 @@ elements.cookieName.addEventListener("keypress", (e) => {
   }
 });
 
+elements.workspaceName.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    saveWorkspace();
+  }
+});
+
+elements.snapshotName.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    saveSnapshot();
+  }
+});
+
 // Initialize on load
 document.addEventListener("DOMContentLoaded", init);
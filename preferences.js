@@ -0,0 +1,400 @@
+// preferences.js - Per-platform, per-feature user preferences
+// Shared by the content scripts, the popup and the options page.
+// The catalog lists every automatable feature; the user's choice for each
+// one is kept in extension storage and read by the handlers before acting.
+
+"use strict";
+
+// ============================================================================
+// Feature Catalog
+// ============================================================================
+
+/**
+ * Feature modes
+ * - "on":    the handler turns the feature on
+ * - "off":   the handler turns the feature off
+ * - "leave": the handler doesn't touch the feature
+ */
+const FEATURE_MODES = {
+  on: "On",
+  off: "Off",
+  leave: "Leave alone"
+};
+
+/**
+ * Every automatable feature, keyed by platform hostname and feature id
+ * Feature ids match the descriptors in the platform handlers.
+ * `modes` lists the choices a feature supports (some can only be turned on)
+ */
+const FEATURE_CATALOG = {
+  "claude.ai": {
+    name: "Claude",
+    features: {
+      model: { label: "Select preferred model", default: "on", modes: ["on", "leave"] },
+      thinking: { label: "Thinking mode", default: "on", modes: ["on", "off", "leave"] }
+    }
+  },
+  "grok.com": {
+    name: "Grok",
+    features: {
+      model: { label: "Select preferred model", default: "on", modes: ["on", "leave"] },
+      thinking: { label: "Think", default: "on", modes: ["on", "off", "leave"] }
+    }
+  },
+  "chat.deepseek.com": {
+    name: "DeepSeek",
+    features: {
+      model: { label: "Select preferred model", default: "on", modes: ["on", "leave"] },
+      "collapse-sidebar": { label: "Collapse sidebar", default: "on", modes: ["on", "leave"] },
+      deepthink: { label: "DeepThink", default: "on", modes: ["on", "off", "leave"] },
+      search: { label: "Search", default: "on", modes: ["on", "off", "leave"] }
+    }
+  },
+  "chatgpt.com": {
+    name: "ChatGPT",
+    features: {
+      model: { label: "Select preferred model", default: "on", modes: ["on", "leave"] },
+      canvas: { label: "Canvas", default: "on", modes: ["on", "off", "leave"] }
+    }
+  },
+  "gemini.google.com": {
+    name: "Gemini",
+    features: {
+      "collapse-menu": { label: "Collapse menu", default: "on", modes: ["on", "leave"] },
+      model: { label: "Select preferred model", default: "on", modes: ["on", "leave"] },
+      canvas: { label: "Canvas", default: "on", modes: ["on", "off", "leave"] }
+    }
+  },
+  "aistudio.google.com": {
+    name: "Google AI Studio",
+    features: {
+      model: { label: "Select preferred model", default: "on", modes: ["on", "leave"] },
+      "run-settings": { label: "Apply run-settings profile", default: "on", modes: ["on", "leave"] }
+    }
+  }
+};
+
+// ============================================================================
+// Preferences Storage
+// ============================================================================
+
+const Preferences = {
+  STORAGE_KEY: "featurePreferences",
+
+  /**
+   * Get the catalog entry for a hostname
+   * @param {string} hostname - Platform hostname (e.g., "grok.com" or "www.grok.com")
+   * @returns {{hostname: string, name: string, features: object}|null}
+   */
+  getPlatform(hostname) {
+    const bare = hostname.replace(/^www\./, "");
+    for (const [platformHost, platform] of Object.entries(FEATURE_CATALOG)) {
+      if (bare === platformHost || bare.endsWith("." + platformHost)) {
+        return { hostname: platformHost, ...platform };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Get the stored choices, without defaults
+   * @returns {Promise<object>} { [hostname]: { [featureId]: mode } }
+   */
+  async getStored() {
+    try {
+      const stored = await browser.storage.local.get(this.STORAGE_KEY);
+      return stored[this.STORAGE_KEY] || {};
+    } catch (error) {
+      console.error("[Preferences] Error reading preferences:", error);
+      return {};
+    }
+  },
+
+  /**
+   * Get the effective mode of every feature on a platform
+   * @param {string} hostname - Platform hostname
+   * @returns {Promise<object>} { [featureId]: mode }
+   */
+  async getPlatformModes(hostname) {
+    const platform = this.getPlatform(hostname);
+    if (!platform) return {};
+
+    const stored = (await this.getStored())[platform.hostname] || {};
+    const modes = {};
+    for (const [featureId, feature] of Object.entries(platform.features)) {
+      const mode = stored[featureId];
+      modes[featureId] = feature.modes.includes(mode) ? mode : feature.default;
+    }
+    return modes;
+  },
+
+  /**
+   * Get the effective mode of a single feature
+   * @param {string} hostname - Platform hostname
+   * @param {string} featureId - Feature id
+   * @returns {Promise<string>} "on", "off" or "leave"
+   */
+  async getFeatureMode(hostname, featureId) {
+    const modes = await this.getPlatformModes(hostname);
+    return modes[featureId] || "on";
+  },
+
+  /**
+   * Store the mode of a single feature
+   * @param {string} hostname - Platform hostname
+   * @param {string} featureId - Feature id
+   * @param {string} mode - "on", "off" or "leave"
+   */
+  async setFeatureMode(hostname, featureId, mode) {
+    const platform = this.getPlatform(hostname);
+    const feature = platform && platform.features[featureId];
+    if (!feature || !feature.modes.includes(mode)) {
+      throw new Error(`Unsupported mode "${mode}" for ${hostname}/${featureId}`);
+    }
+
+    const stored = await this.getStored();
+    stored[platform.hostname] = { ...stored[platform.hostname], [featureId]: mode };
+    await browser.storage.local.set({ [this.STORAGE_KEY]: stored });
+  },
+
+  /**
+   * Forget every stored choice (back to the catalog defaults)
+   */
+  async reset() {
+    await browser.storage.local.remove(this.STORAGE_KEY);
+  }
+};
+
+// ============================================================================
+// Preferred Models
+// ============================================================================
+
+/**
+ * Built-in model preferences, first choice first
+ * Platforms without an entry keep whatever model is selected
+ */
+const DEFAULT_MODEL_PREFERENCES = {
+  "gemini.google.com": ["2.5 Pro"]
+};
+
+const ModelPreferences = {
+  STORAGE_KEY: "modelPreferences",
+
+  /**
+   * Get the preferred models of a platform, first choice first
+   * Entries are plain names (case-insensitive substring match) or
+   * "/pattern/flags" regular expressions
+   * @param {string} hostname - Platform hostname
+   * @returns {Promise<string[]>}
+   */
+  async get(hostname) {
+    const platform = Preferences.getPlatform(hostname);
+    if (!platform) return [];
+
+    try {
+      const stored = (await browser.storage.local.get(this.STORAGE_KEY))[this.STORAGE_KEY] || {};
+      return stored[platform.hostname] || DEFAULT_MODEL_PREFERENCES[platform.hostname] || [];
+    } catch (error) {
+      console.error("[Preferences] Error reading model preferences:", error);
+      return DEFAULT_MODEL_PREFERENCES[platform.hostname] || [];
+    }
+  },
+
+  /**
+   * Store the preferred models of a platform
+   * @param {string} hostname - Platform hostname
+   * @param {string[]} models - Names or "/pattern/flags", first choice first
+   */
+  async set(hostname, models) {
+    const platform = Preferences.getPlatform(hostname);
+    if (!platform) {
+      throw new Error(`Unknown platform "${hostname}"`);
+    }
+
+    models.forEach(model => this.toMatcher(model));
+
+    const stored = (await browser.storage.local.get(this.STORAGE_KEY))[this.STORAGE_KEY] || {};
+    stored[platform.hostname] = models;
+    await browser.storage.local.set({ [this.STORAGE_KEY]: stored });
+  },
+
+  /**
+   * Turn a preference entry into a matcher function
+   * @param {string} pattern - Plain name or "/pattern/flags"
+   * @returns {function(string): boolean}
+   */
+  toMatcher(pattern) {
+    const regexParts = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexParts) {
+      const regex = new RegExp(regexParts[1], regexParts[2]);
+      return (name) => regex.test(name);
+    }
+
+    const needle = pattern.toLowerCase();
+    return (name) => name.toLowerCase().includes(needle);
+  },
+
+  /**
+   * Check whether a model name matches a preference entry
+   * @param {string} name - Model name shown on the page
+   * @param {string} pattern - Plain name or "/pattern/flags"
+   * @returns {boolean}
+   */
+  matches(name, pattern) {
+    return !!name && this.toMatcher(pattern)(name);
+  }
+};
+
+// ============================================================================
+// Google AI Studio Run-Settings Profiles
+// ============================================================================
+
+/**
+ * Choices offered for the Media Resolution dropdown
+ */
+const MEDIA_RESOLUTIONS = ["Default", "Low", "Medium", "High"];
+
+/**
+ * Built-in run-settings profiles
+ * Any value left null is not touched on the page. thinkingBudget is a token
+ * count (manual budget) or "auto" (manual budget switched off); tool
+ * toggles are true (on), false (off) or null (leave alone)
+ */
+const DEFAULT_RUN_SETTINGS_PROFILES = {
+  default: {
+    name: "Default",
+    model: null,
+    temperature: null,
+    topP: 1,
+    thinkingBudget: 32768,
+    mediaResolution: "Medium",
+    outputLength: null,
+    stopSequences: null,
+    tools: { urlContext: true, codeExecution: null, groundingWithSearch: null, structuredOutput: null }
+  },
+  "deterministic-coding": {
+    name: "Deterministic coding",
+    model: "Gemini 2.5 Pro",
+    temperature: 0,
+    topP: 0.95,
+    thinkingBudget: 32768,
+    mediaResolution: "Medium",
+    outputLength: 65536,
+    stopSequences: [],
+    tools: { urlContext: true, codeExecution: true, groundingWithSearch: false, structuredOutput: false }
+  },
+  "creative-drafting": {
+    name: "Creative drafting",
+    model: "Gemini 2.5 Pro",
+    temperature: 1.5,
+    topP: 0.95,
+    thinkingBudget: 8192,
+    mediaResolution: "Default",
+    outputLength: 65536,
+    stopSequences: [],
+    tools: { urlContext: true, codeExecution: false, groundingWithSearch: true, structuredOutput: false }
+  }
+};
+
+const RunSettingsProfiles = {
+  STORAGE_KEY: "runSettingsProfiles",
+  SELECTION_KEY: "runSettingsSelection",
+
+  /**
+   * Get every profile (built-ins overlaid with the user's edits)
+   * @returns {Promise<object>} { [profileId]: profile }
+   */
+  async getAll() {
+    try {
+      const stored = await browser.storage.local.get(this.STORAGE_KEY);
+      return { ...DEFAULT_RUN_SETTINGS_PROFILES, ...(stored[this.STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.error("[Preferences] Error reading run-settings profiles:", error);
+      return { ...DEFAULT_RUN_SETTINGS_PROFILES };
+    }
+  },
+
+  /**
+   * Create or update a profile
+   * @param {string} id - Profile id
+   * @param {object} profile - Profile values
+   */
+  async save(id, profile) {
+    const stored = (await browser.storage.local.get(this.STORAGE_KEY))[this.STORAGE_KEY] || {};
+    stored[id] = profile;
+    await browser.storage.local.set({ [this.STORAGE_KEY]: stored });
+  },
+
+  /**
+   * Delete a user profile (built-in profiles revert to their defaults)
+   * Pages that used it fall back to the default profile
+   * @param {string} id - Profile id
+   */
+  async remove(id) {
+    const stored = (await browser.storage.local.get(this.STORAGE_KEY))[this.STORAGE_KEY] || {};
+    delete stored[id];
+    await browser.storage.local.set({ [this.STORAGE_KEY]: stored });
+
+    const selection = await this.getSelection();
+    if (selection.default === id && !DEFAULT_RUN_SETTINGS_PROFILES[id]) {
+      selection.default = "default";
+    }
+    for (const [page, profileId] of Object.entries(selection.pages)) {
+      if (profileId === id && !DEFAULT_RUN_SETTINGS_PROFILES[id]) {
+        delete selection.pages[page];
+      }
+    }
+    await browser.storage.local.set({ [this.SELECTION_KEY]: selection });
+  },
+
+  /**
+   * Get which profile applies where
+   * @returns {Promise<{default: string, pages: object}>} pages maps a prompt path to a profile id
+   */
+  async getSelection() {
+    const stored = await browser.storage.local.get(this.SELECTION_KEY);
+    return { default: "default", pages: {}, ...(stored[this.SELECTION_KEY] || {}) };
+  },
+
+  /**
+   * Choose the profile used on pages without their own choice
+   * @param {string} id - Profile id
+   */
+  async setDefault(id) {
+    const selection = await this.getSelection();
+    selection.default = id;
+    await browser.storage.local.set({ [this.SELECTION_KEY]: selection });
+  },
+
+  /**
+   * Choose the profile for one AI Studio page
+   * @param {string} page - Page path (e.g., "/prompts/new_chat")
+   * @param {string|null} id - Profile id, or null to use the default profile
+   */
+  async setForPage(page, id) {
+    const selection = await this.getSelection();
+    if (id) {
+      selection.pages[page] = id;
+    } else {
+      delete selection.pages[page];
+    }
+    await browser.storage.local.set({ [this.SELECTION_KEY]: selection });
+  },
+
+  /**
+   * Resolve the profile that applies to a page
+   * @param {string} page - Page path
+   * @returns {Promise<{id: string, profile: object}>}
+   */
+  async getForPage(page) {
+    const [profiles, selection] = await Promise.all([this.getAll(), this.getSelection()]);
+    const id = [selection.pages[page], selection.default].find(candidate => profiles[candidate]) || "default";
+    return { id, profile: profiles[id] || DEFAULT_RUN_SETTINGS_PROFILES.default };
+  }
+};
+
+// Make preferences available globally
+window.FEATURE_CATALOG = FEATURE_CATALOG;
+window.Preferences = Preferences;
+window.ModelPreferences = ModelPreferences;
+window.RunSettingsProfiles = RunSettingsProfiles;
@@ -0,0 +1,236 @@
+// script-injector.js - Run functions inside a tab's page, on MV2 and MV3
+// Loaded by the popup and both background scripts. MV3 (Chrome) only has
+// scripting.executeScript; MV2 (Firefox) only has tabs.executeScript
+
+"use strict";
+
+const ScriptInjector = {
+  /**
+   * The extension API namespace of this build (the Chrome service worker has no polyfill)
+   */
+  get api() {
+    return typeof browser !== "undefined" ? browser : chrome;
+  },
+
+  /**
+   * Whether injection goes through the MV3 scripting API
+   * @returns {boolean}
+   */
+  usesScripting() {
+    return !!(this.api.scripting && this.api.scripting.executeScript);
+  },
+
+  /**
+   * Run a function in a tab's top frame and return its (awaited) result
+   * The function is serialized, so it can only use its arguments and what
+   * the page has - nothing from the calling script
+   * @param {number} tabId - Tab to run in
+   * @param {Function} func - Self-contained function
+   * @param {Array} [args] - JSON-serializable arguments
+   * @returns {Promise<*>}
+   */
+  async run(tabId, func, args = []) {
+    if (this.usesScripting()) {
+      const [injection] = await this.api.scripting.executeScript({
+        target: { tabId },
+        func,
+        args
+      });
+      return injection ? injection.result : undefined;
+    }
+
+    const argList = args.map(arg => JSON.stringify(arg)).join(", ");
+    const [result] = await this.api.tabs.executeScript(tabId, {
+      code: `(${func.toString()})(${argList});`
+    });
+    return result;
+  }
+};
+
+// ============================================================================
+// Page Scripts - Functions run in the page through ScriptInjector.run()
+// ============================================================================
+
+/**
+ * Clear one origin's storage from inside one of its pages
+ * @param {string[]} types - "indexedDB", "cacheStorage", "serviceWorkers",
+ *   "localStorage", "sessionStorage"
+ * @returns {Promise<{cleared: string[], failed: {type: string, error: string}[]}>}
+ */
+async function clearPageStorage(types) {
+  const cleared = [];
+  const failed = [];
+
+  const attempt = async (type, clear) => {
+    try {
+      cleared.push(await clear());
+    } catch (error) {
+      failed.push({ type, error: error.message || String(error) });
+    }
+  };
+
+  if (types.includes("indexedDB")) {
+    await attempt("indexedDB", async () => {
+      if (!indexedDB.databases) {
+        throw new Error("This browser can't list IndexedDB databases");
+      }
+      const databases = await indexedDB.databases();
+      let blocked = 0;
+      for (const { name } of databases) {
+        await new Promise((resolve, reject) => {
+          const request = indexedDB.deleteDatabase(name);
+          request.onsuccess = () => resolve();
+          request.onerror = () => reject(request.error);
+          // The page still has it open; it goes once the page lets go
+          request.onblocked = () => { blocked++; resolve(); };
+        });
+      }
+      return `indexedDB (${databases.length} databases${blocked ? `, ${blocked} after reload` : ""})`;
+    });
+  }
+
+  if (types.includes("cacheStorage")) {
+    await attempt("cacheStorage", async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.map(key => caches.delete(key)));
+      return `cacheStorage (${keys.length} caches)`;
+    });
+  }
+
+  if (types.includes("serviceWorkers")) {
+    await attempt("serviceWorkers", async () => {
+      const registrations = await navigator.serviceWorker.getRegistrations();
+      await Promise.all(registrations.map(registration => registration.unregister()));
+      return `serviceWorkers (${registrations.length} registrations)`;
+    });
+  }
+
+  if (types.includes("localStorage")) {
+    await attempt("localStorage", async () => {
+      localStorage.clear();
+      return "localStorage";
+    });
+  }
+
+  if (types.includes("sessionStorage")) {
+    await attempt("sessionStorage", async () => {
+      sessionStorage.clear();
+      return "sessionStorage";
+    });
+  }
+
+  return { cleared, failed };
+}
+
+/**
+ * Read the page's Web Storage and IndexedDB for the storage inspector
+ * Values are cut at 2000 characters; sizes count the whole key and value
+ * @returns {Promise<{origin: string, localStorage: object, sessionStorage: object, indexedDB: object}>}
+ */
+async function inspectPageStorage() {
+  const valueLimit = 2000;
+
+  const readArea = area => {
+    try {
+      const storage = window[area];
+      const entries = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        const value = storage.getItem(key) || "";
+        entries.push({
+          key,
+          value: value.slice(0, valueLimit),
+          truncated: value.length > valueLimit,
+          // Quotas count UTF-16 code units
+          size: (key.length + value.length) * 2
+        });
+      }
+      return { entries };
+    } catch (error) {
+      return { entries: [], error: error.message || String(error) };
+    }
+  };
+
+  const countRecords = name => new Promise((resolve, reject) => {
+    const request = indexedDB.open(name);
+    // Only listed databases are opened; don't create one that went away meanwhile
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("Blocked by a pending upgrade"));
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => db.close();
+      const storeNames = Array.from(db.objectStoreNames);
+      if (storeNames.length === 0) {
+        db.close();
+        resolve([]);
+        return;
+      }
+
+      const transaction = db.transaction(storeNames, "readonly");
+      const stores = storeNames.map(storeName => {
+        const store = { name: storeName, count: null };
+        const countRequest = transaction.objectStore(storeName).count();
+        countRequest.onsuccess = () => { store.count = countRequest.result; };
+        return store;
+      });
+      transaction.oncomplete = () => { db.close(); resolve(stores); };
+      transaction.onabort = () => { db.close(); reject(transaction.error); };
+    };
+  });
+
+  const readDatabases = async () => {
+    if (!indexedDB.databases) {
+      return { databases: [], error: "This browser can't list IndexedDB databases" };
+    }
+    try {
+      const databases = [];
+      for (const { name, version } of await indexedDB.databases()) {
+        try {
+          databases.push({ name, version, stores: await countRecords(name) });
+        } catch (error) {
+          databases.push({ name, version, stores: [], error: (error && error.message) || String(error) });
+        }
+      }
+      return { databases };
+    } catch (error) {
+      return { databases: [], error: error.message || String(error) };
+    }
+  };
+
+  return {
+    origin: location.origin,
+    localStorage: readArea("localStorage"),
+    sessionStorage: readArea("sessionStorage"),
+    indexedDB: await readDatabases()
+  };
+}
+
+/**
+ * Delete one Web Storage key or one IndexedDB database of the page
+ * @param {string} type - "localStorage", "sessionStorage" or "indexedDB"
+ * @param {string} name - Key or database name
+ * @returns {Promise<{success: boolean, blocked?: boolean, error?: string}>}
+ */
+async function deletePageStorageItem(type, name) {
+  try {
+    if (type === "localStorage" || type === "sessionStorage") {
+      window[type].removeItem(name);
+      return { success: true };
+    }
+
+    if (type === "indexedDB") {
+      return await new Promise(resolve => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve({ success: true });
+        request.onerror = () => resolve({ success: false, error: request.error ? request.error.message : "Delete failed" });
+        // The page still has it open; it goes once the page lets go
+        request.onblocked = () => resolve({ success: true, blocked: true });
+      });
+    }
+
+    return { success: false, error: `Unknown storage type "${type}"` };
+  } catch (error) {
+    return { success: false, error: error.message || String(error) };
+  }
+}